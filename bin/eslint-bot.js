@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+const path = require('path');
+const GitHubApi = require('github');
+const fakeGithub = require('../lib/fake-github');
+const repositories = require('../lib/repositories');
+const getLineMapFromPatchString = require('../lib/diff-map').getLineMapFromPatchString;
+
+const USAGE = `Usage: eslint-bot replay <payload> --files <directory> [options]
+
+Runs the bot on a pull_request webhook payload (a JSON or JS file), against a
+stand-in for Github serving the pull request files from local directories, and
+prints what the bot would post.
+
+Options:
+  --files <directory>    The files of the pull request, as at its head
+  --patches <directory>  The patches of the files, as <filename>.patch files.
+                         Files without a patch are replayed as added files.
+  --format <format>      \`table\` (default) or \`json\``;
+
+function parseArguments(argv) {
+    const options = { format: 'table', positional: [] };
+    for (let index = 0; index < argv.length; index++) {
+        const match = /^--(files|patches|format)$/.exec(argv[index]);
+        if (match) {
+            options[match[1]] = argv[++index];
+        } else {
+            options.positional.push(argv[index]);
+        }
+    }
+    return options;
+}
+
+function indent(text) {
+    return text.split('\n').map((line) => `    ${line}`).join('\n');
+}
+
+/**
+ * Describe where a review comment would be, with the file line instead of the diff position.
+ * @param  {Array}  files   The pull request files
+ * @param  {Object} comment The review comment
+ * @return {String} The location, as `filename:line`.
+ */
+function describeLocation(files, comment) {
+    if (comment.line) {
+        const start = comment.start_line ? `${comment.start_line}-` : '';
+        return `${comment.path}:${start}${comment.line}`;
+    }
+    const file = files.filter(({ filename }) => filename === comment.path)[0];
+    const lineMap = getLineMapFromPatchString(file.patch, { contextLines: true });
+    const line = Object.keys(lineMap).filter((key) => lineMap[key] === comment.position)[0];
+    return `${comment.path}:${line}`;
+}
+
+function formatRequest(files, { method, path: requestPath, body }) {
+    if (/\/statuses\//.test(requestPath)) {
+        return `Status: ${body.state}, ${body.description}`;
+    }
+    if (/\/reviews$/.test(requestPath)) {
+        return [`Review (${body.event}):`, indent(body.body)]
+            .concat(body.comments.map((comment) => (
+                `  ${describeLocation(files, comment)}\n${indent(comment.body)}`
+            )))
+            .join('\n');
+    }
+    if (/\/pulls\/\d+\/comments$/.test(requestPath)) {
+        return `Comment on ${describeLocation(files, body)}:\n${indent(body.body)}`;
+    }
+    if (/\/issues\/\d+\/comments$/.test(requestPath)) {
+        return `Pull request comment:\n${indent(body.body)}`;
+    }
+    return `${method} ${requestPath}\n${indent(JSON.stringify(body, null, 2))}`;
+}
+
+function replay(options) {
+    const payloadFile = options.positional[1];
+    const payload = require(path.resolve(payloadFile)); // eslint-disable-line global-require
+    const files = fakeGithub.readFixtures(options.files, options.patches);
+    const stub = fakeGithub.createFakeGithub({ files });
+    const settings = repositories.createSettingsLookup(
+        repositories.readRepositorySettings(process.env)
+    )(payload.repository.full_name) || {};
+
+    /* eslint-disable no-console */
+    // The logs of the bot go to stderr, so that stdout only holds the report.
+    console.log = console.error;
+    /* eslint-enable no-console */
+    const treatPayload = require('../server').treatPayload; // eslint-disable-line global-require
+
+    const server = stub.app.listen(0, '127.0.0.1');
+    return new Promise((resolve) => server.on('listening', resolve)).then(() => {
+        const github = new GitHubApi({
+            version: '3.0.0',
+            protocol: 'http',
+            host: '127.0.0.1',
+            port: server.address().port,
+            proxy: '',
+            Promise: global.Promise,
+        });
+        github.authenticate({ type: 'token', token: 'replay' });
+        return treatPayload(payload, settings, github);
+    }).then(() => {
+        server.close();
+        return options.format === 'json'
+            ? JSON.stringify(stub.requests, null, 2)
+            : stub.requests.map((request) => formatRequest(files, request)).join('\n\n');
+    }, (error) => {
+        server.close();
+        throw error;
+    });
+}
+
+const options = parseArguments(process.argv.slice(2));
+const [command, payloadFile] = options.positional;
+if (command !== 'replay' || !payloadFile || !options.files
+    || ['table', 'json'].indexOf(options.format) === -1) {
+    process.stderr.write(`${USAGE}\n`);
+    process.exit(1);
+}
+
+replay(options).then((report) => {
+    process.stdout.write(`${report}\n`);
+}, (error) => {
+    process.stderr.write(`The replay failed: ${error.stack}\n`);
+    process.exit(1);
+});
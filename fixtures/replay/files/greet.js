@@ -0,0 +1,6 @@
+function greet(name) {
+    return 'Hello ' + name;
+}
+
+var greeting = greet("world")
+module.exports = greeting;
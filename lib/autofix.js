@@ -0,0 +1,101 @@
+/**
+ * Count the messages of each rule which disappeared once the fixes were applied.
+ * @param  {Array} before ESLint messages of the original content
+ * @param  {Array} after  ESLint messages of the fixed content
+ * @return {Object} The number of fixed problems, by rule id.
+ */
+function countFixedRules(before, after) {
+    const counts = {};
+    before.forEach(({ ruleId }) => {
+        counts[ruleId] = (counts[ruleId] || 0) + 1;
+    });
+    after.forEach(({ ruleId }) => {
+        counts[ruleId] = (counts[ruleId] || 0) - 1;
+    });
+
+    return Object.keys(counts)
+        .filter((ruleId) => counts[ruleId] > 0)
+        .reduce((fixedRules, ruleId) => {
+            fixedRules[ruleId] = counts[ruleId]; // eslint-disable-line no-param-reassign
+            return fixedRules;
+        }, {});
+}
+
+/**
+ * Build the reply to a fix command.
+ * @param  {Array}  fixes    Objects shaped as {filename, fixedRules}
+ * @param  {String} location Where the fixes were pushed, e.g. 'commit abc1234'
+ * @return {String} The reply body.
+ */
+function buildFixSummary(fixes, location) {
+    if (fixes.length === 0) {
+        return 'ESLint found nothing it could fix automatically.';
+    }
+
+    const totals = {};
+    fixes.forEach(({ fixedRules }) => Object.keys(fixedRules).forEach((ruleId) => {
+        totals[ruleId] = (totals[ruleId] || 0) + fixedRules[ruleId];
+    }));
+    const ruleLines = Object.keys(totals).sort().map((ruleId) => (
+        `* **${ruleId}**: ${totals[ruleId]} problem${totals[ruleId] === 1 ? '' : 's'}`
+    ));
+
+    return [`ESLint fixed ${fixes.length} file${fixes.length === 1 ? '' : 's'} in ${location}:`]
+        .concat(ruleLines)
+        .join('\n');
+}
+
+/**
+ * Create a commit replacing the content of some files, through the git data API.
+ * @param  {Object} repository The repository, shaped as {user, repo, github}
+ * @param  {String} parentSha  The sha of the commit to build upon
+ * @param  {Array}  files      Objects shaped as {filename, content}
+ * @param  {String} message    The commit message
+ * @return {Promise} A promise of the created commit sha.
+ */
+function createCommit({ repository, parentSha, files, message }) {
+    const { user, repo, github } = repository;
+
+    const blobsCreated = Promise.all(files.map(({ content }) => (
+        github.gitdata.createBlob({ user, repo, content, encoding: 'utf-8' })
+    )));
+    // The files keep their mode, e.g. executable, unless the tree is too large to be sent whole.
+    const getModes = (treeSha) => github.gitdata.getTree({
+        user,
+        repo,
+        sha: treeSha,
+        recursive: true,
+    }).then(({ tree }) => tree.reduce((modes, entry) => {
+        modes[entry.path] = entry.mode; // eslint-disable-line no-param-reassign
+        return modes;
+    }, {}));
+
+    return Promise.all([github.gitdata.getCommit({ user, repo, sha: parentSha }), blobsCreated])
+        .then(([parent, blobs]) => getModes(parent.tree.sha).then((modes) => (
+            github.gitdata.createTree({
+                user,
+                repo,
+                base_tree: parent.tree.sha,
+                tree: files.map(({ filename }, index) => ({
+                    path: filename,
+                    mode: modes[filename] || '100644',
+                    type: 'blob',
+                    sha: blobs[index].sha,
+                })),
+            })
+        )))
+        .then((tree) => github.gitdata.createCommit({
+            user,
+            repo,
+            message,
+            tree: tree.sha,
+            parents: [parentSha],
+        }))
+        .then(({ sha }) => sha);
+}
+
+module.exports = {
+    buildFixSummary,
+    countFixedRules,
+    createCommit,
+};
@@ -0,0 +1,44 @@
+// Reindenting or reformatting a line doesn't make its problems new.
+function normalizeSource(source) {
+    return (source || '').replace(/\s+/g, ' ').trim();
+}
+
+function getMessageKeys({ content, messages }) {
+    const lines = content.split(/\r?\n/);
+    return messages.map(({ ruleId, line }) => `${ruleId}:${normalizeSource(lines[line - 1])}`);
+}
+
+/**
+ * Compare the messages of a file with the ones of its version on the base
+ * branch. Messages are matched by rule id and source line, so that they are
+ * matched wherever the pull request moved them.
+ * @param  {Object} base The base version, shaped as {content, messages}
+ * @param  {Object} head The head version, shaped as {content, messages}
+ * @return {Object} The comparison, shaped as {newMessages, suppressed, fixed}: the
+ * messages the pull request introduced, and the numbers of messages of the head
+ * version already found in the base version, and of messages of the base version gone.
+ */
+function compareWithBaseline(base, head) {
+    const remaining = getMessageKeys(base).reduce((counts, key) => (
+        Object.assign(counts, { [key]: (counts[key] || 0) + 1 })
+    ), {});
+    const headKeys = getMessageKeys(head);
+    const newMessages = head.messages.filter((message, index) => {
+        const key = headKeys[index];
+        if (remaining[key] > 0) {
+            remaining[key]--;
+            return false;
+        }
+        return true;
+    });
+
+    return {
+        newMessages,
+        suppressed: head.messages.length - newMessages.length,
+        fixed: Object.keys(remaining).reduce((sum, key) => sum + remaining[key], 0),
+    };
+}
+
+module.exports = {
+    compareWithBaseline,
+};
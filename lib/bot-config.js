@@ -0,0 +1,159 @@
+const yaml = require('js-yaml');
+const minimatch = require('minimatch');
+
+const CONFIG_FILE = '.eslint-bot.yml';
+
+const SEVERITIES = { warning: 1, error: 2 };
+
+const DEFAULTS = {
+    include: null,
+    exclude: [],
+    minSeverity: 'warning',
+    ignoreRules: [],
+    maxComments: null,
+    mode: 'review',
+    scope: 'changed-lines',
+    parsers: {},
+    baseline: false,
+    template: {},
+    linters: {},
+};
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every((item) => typeof item === 'string');
+}
+
+function isStringMap(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+        && Object.keys(value).every((key) => typeof value[key] === 'string');
+}
+
+// The linters a repository can pick the files of, see linters.js
+const LINTERS = ['eslint', 'stylelint', 'prettier'];
+
+// The comment templates a repository can override
+const TEMPLATES = ['message', 'parsingError', 'comment'];
+
+const VALIDATORS = {
+    include: (value) => isStringList(value) || 'must be a list of globs',
+    exclude: (value) => isStringList(value) || 'must be a list of globs',
+    minSeverity: (value) => (
+        Object.prototype.hasOwnProperty.call(SEVERITIES, value) || 'must be `warning` or `error`'
+    ),
+    ignoreRules: (value) => isStringList(value) || 'must be a list of rule ids',
+    maxComments: (value) => (
+        (typeof value === 'number' && value % 1 === 0 && value >= 0)
+        || 'must be an integer of 0 or more'
+    ),
+    mode: (value) => (
+        ['review', 'comments'].indexOf(value) !== -1 || 'must be `review` or `comments`'
+    ),
+    scope: (value) => (
+        ['changed-lines', 'files'].indexOf(value) !== -1 || 'must be `changed-lines` or `files`'
+    ),
+    parsers: (value) => isStringMap(value) || 'must map file extensions to parser modules',
+    baseline: (value) => typeof value === 'boolean' || 'must be `true` or `false`',
+    linters: (value) => (
+        (Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+            && Object.keys(value).every((name) => (
+                LINTERS.indexOf(name) !== -1 && isStringList(value[name])
+            )))
+        || `must map some of ${LINTERS.map((name) => `\`${name}\``).join(', ')} to lists of globs`
+    ),
+    template: (value) => (
+        (isStringMap(value) && Object.keys(value).every((key) => TEMPLATES.indexOf(key) !== -1))
+        || `must map some of ${TEMPLATES.map((key) => `\`${key}\``).join(', ')} to templates`
+    ),
+};
+
+/**
+ * Parse and validate the content of a `.eslint-bot.yml` file.
+ * @param  {String} text The file content
+ * @return {Object} The configuration, completed with the default values.
+ * @throws {Error} An error listing every problem of the file.
+ */
+function parseBotConfig(text) {
+    let config;
+    try {
+        config = yaml.safeLoad(text) || {};
+    } catch (error) {
+        throw new Error(`It is not valid YAML: ${error.message}`);
+    }
+    if (typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('It must hold a map of options.');
+    }
+
+    const problems = Object.keys(config).map((option) => {
+        if (!Object.prototype.hasOwnProperty.call(VALIDATORS, option)) {
+            return `Unknown option \`${option}\``;
+        }
+        const validation = VALIDATORS[option](config[option]);
+        return validation === true ? null : `\`${option}\` ${validation}`;
+    }).filter(Boolean);
+    if (problems.length > 0) {
+        throw new Error(problems.map((problem) => `* ${problem}`).join('\n'));
+    }
+
+    return Object.assign({}, DEFAULTS, config);
+}
+
+function matchesAny(filename, globs) {
+    return globs.some((glob) => minimatch(filename, glob, { dot: true }));
+}
+
+/**
+ * Create the predicate telling whether a file should be linted. The `include`
+ * globs of the configuration replace the file filter regex when they are set.
+ * @param  {Object} botConfig  The `.eslint-bot.yml` configuration
+ * @param  {String} fileFilter The file filter regex
+ * @return {Function} A function taking a filename and returning whether to lint it.
+ */
+function createFileMatcher(botConfig, fileFilter) {
+    return (filename) => {
+        const included = botConfig.include
+            ? matchesAny(filename, botConfig.include)
+            : Boolean(filename.match(fileFilter));
+        return included && !matchesAny(filename, botConfig.exclude);
+    };
+}
+
+/**
+ * Tell whether the bot should report a lint message.
+ * @param  {Object} botConfig The `.eslint-bot.yml` configuration
+ * @param  {Object} message   The ESLint message
+ * @return {Boolean} Whether the message is reported.
+ */
+function isReported(botConfig, { severity, ruleId }) {
+    return severity >= SEVERITIES[botConfig.minSeverity]
+        && botConfig.ignoreRules.indexOf(ruleId) === -1;
+}
+
+/**
+ * Create a function telling which linters lint a file. ESLint lints the files
+ * picked by the file matcher, unless the `linters` option gives its own globs,
+ * and the other linters the files matching their globs. The excluded files are
+ * never linted.
+ * @param  {Object} botConfig  The bot configuration
+ * @param  {String} fileFilter The file filter regex
+ * @return {Function} A function taking a filename and returning the linter names.
+ */
+function createLinterMatcher(botConfig, fileFilter) {
+    const isLintedByEslint = createFileMatcher(botConfig, fileFilter);
+    const globsByLinter = Object.assign({ eslint: null }, botConfig.linters);
+    return (filename) => Object.keys(globsByLinter).filter((name) => {
+        const globs = globsByLinter[name];
+        if (!globs) {
+            return isLintedByEslint(filename);
+        }
+        return matchesAny(filename, globs) && !matchesAny(filename, botConfig.exclude);
+    });
+}
+
+module.exports = {
+    CONFIG_FILE,
+    DEFAULTS,
+    createFileMatcher,
+    createLinterMatcher,
+    isReported,
+    parseBotConfig,
+};
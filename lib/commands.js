@@ -0,0 +1,85 @@
+const eslintRules = require('eslint/lib/rules');
+
+const COMMAND = /^\/eslint[ \t]+([a-z]+)(?:[ \t]+(\S+))?/m;
+
+const HELP = [
+    'Available commands:',
+    '* `/eslint rerun`: lint the whole pull request again',
+    '* `/eslint fix`: push the fixes ESLint knows of',
+    '* `/eslint ignore <rule>`: stop commenting about a rule in this pull request',
+    '* `/eslint explain <rule>`: describe a rule',
+].join('\n');
+
+/**
+ * Find the command in a comment body, on a line starting with `/eslint`.
+ * @param  {String} body The comment body
+ * @return {Object} The command, shaped as {name, argument}, or null.
+ */
+function parseCommand(body) {
+    const match = (body || '').match(COMMAND);
+    return match ? { name: match[1], argument: match[2] || null } : null;
+}
+
+/**
+ * Load the definition of a rule, either a core ESLint rule or the rule of a
+ * plugin installed alongside the bot.
+ * @param  {String} ruleId The rule id, e.g. 'semi' or 'react/jsx-indent'
+ * @return {Object} The rule definition, or null if it is unknown.
+ */
+function getRule(ruleId) {
+    const slashIndex = ruleId.indexOf('/');
+    if (slashIndex === -1) {
+        return eslintRules.get(ruleId) || null;
+    }
+
+    const pluginName = ruleId.slice(0, slashIndex);
+    try {
+        const plugin = require(`eslint-plugin-${pluginName}`); // eslint-disable-line global-require
+        return (plugin.rules && plugin.rules[ruleId.slice(slashIndex + 1)]) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the documentation link of a rule. Rules without one in their metadata
+ * link to the ESLint website, or to the npm page of their plugin.
+ * @param  {String} ruleId The rule id
+ * @return {String} The documentation URL.
+ */
+function getRuleDocsUrl(ruleId) {
+    const rule = getRule(ruleId);
+    const docs = (rule && rule.meta && rule.meta.docs) || {};
+    const pluginName = ruleId.indexOf('/') !== -1 && ruleId.split('/')[0];
+    return docs.url || (pluginName
+        ? `https://www.npmjs.com/package/eslint-plugin-${pluginName}`
+        : `http://eslint.org/docs/rules/${ruleId}`);
+}
+
+/**
+ * Describe a rule, with its documentation link, from the ESLint rule metadata.
+ * @param  {String} ruleId The rule id
+ * @return {String} The explanation, as markdown.
+ */
+function explainRule(ruleId) {
+    const rule = getRule(ruleId);
+    if (!rule) {
+        return `ESLint does not know about a \`${ruleId}\` rule.`;
+    }
+
+    const docs = (rule.meta && rule.meta.docs) || {};
+    const isFixable = rule.meta && rule.meta.fixable;
+
+    return [
+        `**${ruleId}**${docs.description ? `: ${docs.description}` : ''}`,
+        isFixable ? 'ESLint can fix it automatically with `/eslint fix`.' : null,
+        `Documentation: ${getRuleDocsUrl(ruleId)}`,
+    ].filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+    HELP,
+    explainRule,
+    getRuleDocsUrl,
+    parseCommand,
+};
@@ -0,0 +1,146 @@
+const getRuleDocsUrl = require('./commands').getRuleDocsUrl;
+
+// The templates of the comment bodies, which repositories can override in their bot config.
+const DEFAULT_TEMPLATE = {
+    message: '{{icon}} **{{rule}}**: {{message}}',
+    parsingError: ':boom: **Parsing error** on line {{line}}: {{message}}',
+    comment: '{{messages}}\n\n{{snippet}}',
+};
+
+const ICONS = { 1: ':warning:', 2: ':x:' };
+
+// The rule ids are hidden in the comment, so that whatever the template, the bot can tell
+// which problems its comments are about.
+const RULE_IDS_MARKER = /<!-- eslint-bot rules: ([^>]*) -->/;
+
+function renderTemplate(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, name) => (
+        values[name] === undefined ? match : values[name]
+    ));
+}
+
+/**
+ * Tell whether a message is a parsing error, which stops ESLint from linting the file.
+ * @param  {Object} message The ESLint message
+ * @return {Boolean} True for a parsing error.
+ */
+function isParsingError(message) {
+    return Boolean(message.fatal);
+}
+
+/**
+ * Get the id of the rule a message is about. Parsing errors have no rule, and
+ * stand for a `parsing-error` rule.
+ * @param  {Object} message The ESLint message
+ * @return {String} The rule id.
+ */
+function getProblemId(message) {
+    if (isParsingError(message)) {
+        return 'parsing-error';
+    }
+    return message.ruleId || 'eslint';
+}
+
+function describeMessage(message) {
+    const { ruleId, severity, line, column } = message;
+    return {
+        icon: ICONS[severity] || ICONS[1],
+        severity: severity === 2 ? 'error' : 'warning',
+        ruleId: ruleId || '',
+        // Some messages, e.g. about ignored files, come from ESLint itself rather than a rule.
+        rule: ruleId ? `[${ruleId}](${message.docsUrl || getRuleDocsUrl(ruleId)})` : 'ESLint',
+        message: message.message.replace(/^Parsing error: /, ''),
+        line,
+        column,
+    };
+}
+
+/**
+ * Show the source line of the messages, with a caret under each of their columns.
+ * Tabs are kept in the caret line, so that the carets line up whatever the tab width.
+ * @param  {String} sourceLine The source line
+ * @param  {Array}  columns    The 1-based columns to point at
+ * @return {String} The snippet, as a markdown code block.
+ */
+function buildSnippet(sourceLine, columns) {
+    const end = Math.max.apply(null, columns);
+    let carets = '';
+    for (let column = 1; column <= end; column++) {
+        if (columns.indexOf(column) !== -1) {
+            carets += '^';
+        } else {
+            carets += sourceLine[column - 1] === '\t' ? '\t' : ' ';
+        }
+    }
+    // A fence longer than any backtick run of the line can't be closed by the line itself.
+    const backticks = (sourceLine.match(/`+/g) || []).reduce((longest, run) => (
+        Math.max(longest, run.length)
+    ), 0);
+    const fence = '`'.repeat(Math.max(3, backticks + 1));
+    return `${fence}\n${sourceLine}\n${carets}\n${fence}`;
+}
+
+/**
+ * Build the body of the comment about the messages of a line.
+ * @param  {Array}  messages   The ESLint messages of the line
+ * @param  {String} sourceLine The source line, undefined when it is unknown
+ * @param  {Object} template   The templates overriding the default ones, shaped as
+ * {message, parsingError, comment}
+ * @return {String} The comment body, as markdown.
+ */
+function formatComment(messages, sourceLine, template) {
+    const templates = Object.assign({}, DEFAULT_TEMPLATE, template);
+    const lines = messages.map((message) => renderTemplate(
+        isParsingError(message) ? templates.parsingError : templates.message,
+        describeMessage(message)
+    ));
+    const columns = messages.map(({ column }) => column).filter(Boolean);
+    const snippet = sourceLine !== undefined && columns.length > 0
+        ? buildSnippet(sourceLine, columns)
+        : '';
+    const body = renderTemplate(templates.comment, {
+        messages: lines.join('\n'),
+        snippet,
+        line: messages[0].line,
+    }).trim();
+    const ruleIds = messages.map(getProblemId).sort();
+
+    return `${body}\n\n<!-- eslint-bot rules: ${ruleIds.join(' ')} -->`;
+}
+
+/**
+ * Describe a message on a single line, for the lists of the review body.
+ * @param  {Object} message The ESLint message
+ * @return {String} The description, as markdown.
+ */
+function formatInline(message) {
+    const description = describeMessage(message);
+    const label = isParsingError(message) ? 'Parsing error' : description.rule;
+    return `**${label}**: ${description.message.trim().replace(/\n/g, ' ')}`;
+}
+
+/**
+ * Extract the rule ids a comment of the bot is about.
+ * @param  {String} body Comment body
+ * @return {Array} The sorted rule ids.
+ */
+function getRuleIds(body) {
+    const marker = RULE_IDS_MARKER.exec(body);
+    if (marker) {
+        return marker[1].split(' ').filter(Boolean).sort();
+    }
+    // The comments posted before the marker existed only have the rule ids in bold.
+    const ruleIds = [];
+    body.replace(/\*\*([^*]+)\*\*:/g, (match, ruleId) => ruleIds.push(ruleId));
+    return ruleIds.sort();
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    buildSnippet,
+    formatComment,
+    formatInline,
+    getProblemId,
+    getRuleIds,
+    isParsingError,
+};
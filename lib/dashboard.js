@@ -0,0 +1,81 @@
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderTable(headers, rows) {
+    const cells = (tag, values) => values.map((value) => (
+        `<${tag}>${escapeHtml(value === null ? '–' : value)}</${tag}>`
+    )).join('');
+    return [
+        '<table>',
+        `<tr>${cells('th', headers)}</tr>`,
+        rows.map((row) => `<tr>${cells('td', row)}</tr>`).join('\n'),
+        '</table>',
+    ].join('\n');
+}
+
+// A bar per week, scaled on the busiest one.
+function renderTrend(weeks) {
+    const highest = Math.max.apply(null, weeks.map(({ problems }) => problems).concat(1));
+    return weeks.map(({ week, problems }) => (
+        `<div class="bar"><span>${escapeHtml(week)}</span>`
+        + `<span style="width: ${Math.round((problems / highest) * 300)}px"></span>`
+        + `${problems}</div>`
+    )).join('\n');
+}
+
+/**
+ * Render the lint debt dashboard of a repository.
+ * @param  {String} fullName The repository full name, e.g. 'owner/repo'
+ * @param  {Object} summary  The summary of its lint runs, as returned by summarizeRuns
+ * @return {String} The HTML page.
+ */
+function renderDashboard(fullName, summary) {
+    const body = summary.runs === 0
+        ? '<p>No lint run recorded yet.</p>'
+        : [
+            `<p>${summary.runs} lint runs recorded.</p>`,
+            '<h2>Problems per week</h2>',
+            renderTrend(summary.weeks),
+            renderTable(
+                ['Week', 'Runs', 'Problems', 'Introduced', 'Fixed'],
+                summary.weeks.map(({ week, runs, problems, introduced, fixed }) => (
+                    [week, runs, problems, introduced, fixed]
+                ))
+            ),
+            '<h2>Top violated rules</h2>',
+            renderTable(['Rule', 'Problems'], summary.topRules.map(({ name, count }) => (
+                [name, count]
+            ))),
+            '<h2>Noisiest files</h2>',
+            renderTable(['File', 'Problems'], summary.noisiestFiles.map(({ name, count }) => (
+                [name, count]
+            ))),
+        ].join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>ESLint bot - ${escapeHtml(fullName)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 0.2em 0.6em; text-align: left; }
+.bar span:first-child { display: inline-block; width: 7em; }
+.bar span + span { display: inline-block; height: 0.8em; margin-right: 0.4em; background: #4b32c3; }
+</style>
+</head>
+<body>
+<h1>Lint debt of ${escapeHtml(fullName)}</h1>
+${body}
+</body>
+</html>
+`;
+}
+
+module.exports = renderDashboard;
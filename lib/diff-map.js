@@ -0,0 +1,55 @@
+const HUNK_HEADER = /^@@ -[0-9]+(?:,[0-9]+)? \+([0-9]+)(?:,[0-9]+)? @@/;
+
+/**
+ * Compute a mapping object for the relationship:
+ * 'file line number' <-> 'Github's diff view line number'.
+ * This is necessary for the comments, as Github API asks to specify the line
+ * number in the diff view (the position) to attach an inline comment to.
+ * The position counts every line below the first hunk header, later hunk
+ * headers and "\ No newline at end of file" markers included.
+ * If a file line does not appear in the diff view, it is not taken into account
+ * here, so the linter will only mention warnings for lines of the diff.
+ * @param  {String}  patchString  The git patch string.
+ * @param  {Boolean} contextLines Whether the unmodified lines shown around the
+ * changes are mapped too. By default, only added lines are.
+ * @return {Object} An object shaped as follows : {'file line number': 'diff view line number'}.
+ */
+function getLineMapFromPatchString(patchString, { contextLines = false } = {}) {
+    const lineMap = {};
+    let position = 0;
+    let fileLine = 0;
+
+    const lines = patchString.split('\n');
+
+    lines.forEach((line, index) => {
+        const hunkHeader = line.match(HUNK_HEADER);
+        if (hunkHeader) {
+            // The first hunk header is the origin of the positions.
+            if (index > 0) {
+                position++;
+            }
+            fileLine = hunkHeader[1] - 1;
+            return;
+        }
+        if (line === '' && index === lines.length - 1) {
+            // Trailing line break of the patch
+            return;
+        }
+
+        position++;
+        // Some tools strip the leading space of empty context lines.
+        const isContextLine = line[0] === ' ' || line === '';
+        if (line[0] === '+' || (isContextLine && contextLines)) {
+            lineMap[++fileLine] = position;
+        } else if (isContextLine) {
+            fileLine++;
+        }
+        // Removed lines and "\ No newline at end of file" markers are not in the file.
+    });
+
+    return lineMap;
+}
+
+module.exports = {
+    getLineMapFromPatchString,
+};
@@ -0,0 +1,129 @@
+const path = require('path');
+const yaml = require('js-yaml');
+const stripComments = require('strip-json-comments');
+const createError = require('./lint-pool').createError;
+
+// Same lookup order as ESLint. `.eslintrc.js` files are code, so they are never evaluated:
+// the files they configure are not linted.
+const CONFIG_FILES = [
+    '.eslintrc.js',
+    '.eslintrc.yaml',
+    '.eslintrc.yml',
+    '.eslintrc.json',
+    '.eslintrc',
+    'package.json',
+];
+
+function parseConfigText(name, text, packageField) {
+    if (name === 'package.json') {
+        return JSON.parse(text)[packageField] || null;
+    }
+    if (path.extname(name) === '.json') {
+        return JSON.parse(stripComments(text));
+    }
+    // The extension-less files, e.g. .eslintrc, can be either JSON or YAML, and YAML is a
+    // superset of JSON.
+    return yaml.safeLoad(stripComments(text)) || {};
+}
+
+/**
+ * Parse the content of a configuration file, of ESLint or of another linter.
+ * @param  {String} filename     The configuration file path
+ * @param  {String} text         The file content
+ * @param  {String} packageField The field of package.json holding the configuration
+ * @return {Object} The configuration, or null if a package.json has no such field.
+ * A file which can't be parsed throws an error with a `LINT_CONFIG_INVALID` code.
+ */
+function parseConfig(filename, text, packageField = 'eslintConfig') {
+    try {
+        return parseConfigText(path.posix.basename(filename), text, packageField);
+    } catch (error) {
+        throw createError(
+            `\`${filename}\` is not valid: ${error.message.split('\n')[0]}`,
+            'LINT_CONFIG_INVALID'
+        );
+    }
+}
+
+/**
+ * List the directories whose configuration applies to a file, from the
+ * repository root to the file's own directory.
+ * @param  {String} filename File path, relative to the repository root
+ * @return {Array} The directory paths, the root being ''.
+ */
+function getDirectories(filename) {
+    const segments = path.posix.dirname(filename).split('/').filter((segment) => segment !== '.');
+
+    return [''].concat(segments.map((segment, index) => segments.slice(0, index + 1).join('/')));
+}
+
+/**
+ * Create a loader resolving the ESLint configuration of files in a repository,
+ * the way ESLint cascades the configuration files of nested directories.
+ * Directory configurations are fetched once per loader.
+ * @param  {Function} listDirectory Returns a promise of the file names in a directory
+ * @param  {Function} readFile      Returns a promise of the content of a file
+ * @return {Function} A function taking a filename and returning a promise of the
+ * configurations applying to it, from the outermost one, or null if the repository
+ * does not configure ESLint. Their `extends` are left to resolve, as ESLint resolves
+ * the `extends` of each configuration file before cascading them. The promise is
+ * rejected with a `LINT_CONFIG_INVALID` error code when one of them can't be used.
+ */
+function createConfigLoader({ listDirectory, readFile }) {
+    const directoryConfigs = {};
+
+    function loadDirectoryConfig(directory) {
+        return listDirectory(directory).then((names) => {
+            // ESLint would pick it before any other file, so that none can stand for it.
+            if (names.indexOf('.eslintrc.js') !== -1) {
+                throw createError(
+                    `\`${path.posix.join(directory, '.eslintrc.js')}\` is not supported`,
+                    'LINT_CONFIG_INVALID'
+                );
+            }
+            const candidates = CONFIG_FILES.filter((name) => names.indexOf(name) !== -1);
+
+            // The first candidate holding a configuration wins.
+            return candidates.reduce((found, name) => found.then((config) => (
+                config || readFile(path.posix.join(directory, name))
+                    .then((text) => parseConfig(path.posix.join(directory, name), text))
+            )), Promise.resolve(null));
+        });
+    }
+
+    // The invalid configurations only fail the files they apply to.
+    function getDirectoryConfig(directory) {
+        if (!directoryConfigs[directory]) {
+            directoryConfigs[directory] = loadDirectoryConfig(directory).catch((error) => {
+                if (error.code !== 'LINT_CONFIG_INVALID') {
+                    throw error;
+                }
+                return { error };
+            });
+        }
+        return directoryConfigs[directory];
+    }
+
+    return function getConfig(filename) {
+        return Promise.all(getDirectories(filename).map(getDirectoryConfig)).then((configs) => {
+            const found = configs.filter(Boolean);
+            // A `root` configuration stops the cascade from its parent directories.
+            const rootIndex = found.reduce((index, config, current) => (
+                config.root ? current : index
+            ), 0);
+            const chain = found.slice(rootIndex);
+            const invalid = chain.filter(({ error }) => error)[0];
+            if (invalid) {
+                throw invalid.error;
+            }
+
+            return chain.length > 0 ? chain : null;
+        });
+    };
+}
+
+module.exports = {
+    createConfigLoader,
+    getDirectories,
+    parseConfig,
+};
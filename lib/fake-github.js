@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+/**
+ * List the files of a directory and its subdirectories.
+ * @param  {String} directory The directory path
+ * @return {Array} The file paths, relative to the directory and with `/` separators.
+ */
+function listFiles(directory) {
+    return fs.readdirSync(directory).reduce((files, name) => {
+        const fullPath = path.join(directory, name);
+        if (fs.statSync(fullPath).isDirectory()) {
+            return files.concat(listFiles(fullPath).map((filename) => `${name}/${filename}`));
+        }
+        return files.concat(name);
+    }, []);
+}
+
+/**
+ * Build the patch of a file added as a whole.
+ * @param  {String} content The file content
+ * @return {String} The patch, as Github serves it.
+ */
+function buildAddedPatch(content) {
+    const lines = content.replace(/\n$/, '').split('\n');
+    return [`@@ -0,0 +1,${lines.length} @@`].concat(lines.map((line) => `+${line}`)).join('\n');
+}
+
+// The blob sha of a content, as computed by git.
+function hashBlob(content) {
+    const buffer = Buffer.from(content, 'utf8');
+    return crypto.createHash('sha1')
+        .update(`blob ${buffer.length}\0`)
+        .update(buffer)
+        .digest('hex');
+}
+
+/**
+ * Read the pull request files to serve from local directories. A file without
+ * a patch in the patches directory is served as added as a whole.
+ * @param  {String} filesDirectory   The directory holding the files at the head of the PR
+ * @param  {String} patchesDirectory The optional directory holding `<filename>.patch` files
+ * @return {Array} The files, shaped as {filename, status, patch, content, sha}.
+ */
+function readFixtures(filesDirectory, patchesDirectory) {
+    return listFiles(filesDirectory).map((filename) => {
+        const content = fs.readFileSync(path.join(filesDirectory, filename), 'utf8');
+        const sha = hashBlob(content);
+        const patchFile = patchesDirectory && path.join(patchesDirectory, `${filename}.patch`);
+        if (patchFile && fs.existsSync(patchFile)) {
+            const patch = fs.readFileSync(patchFile, 'utf8');
+            return { filename, status: 'modified', patch, content, sha };
+        }
+        return { filename, status: 'added', patch: buildAddedPatch(content), content, sha };
+    });
+}
+
+// The entries of the recursive tree of the commit, directories included.
+function getTreeEntries(files) {
+    const directories = [];
+    files.forEach(({ filename }) => {
+        const parts = filename.split('/').slice(0, -1);
+        parts.forEach((part, index) => {
+            const directory = parts.slice(0, index + 1).join('/');
+            if (directories.indexOf(directory) === -1) {
+                directories.push(directory);
+            }
+        });
+    });
+    return directories.map((directory) => ({ path: directory, type: 'tree' }))
+        .concat(files.map(({ filename, sha }) => ({ path: filename, type: 'blob', sha })));
+}
+
+/**
+ * Create an in-process stand-in for the Github API, serving a pull request
+ * from local files and recording every request which would change something.
+ * @param  {Array}  files The pull request files, as returned by readFixtures
+ * @param  {String} login The login of the authenticated user
+ * @return {Object} The stand-in, shaped as {app, requests}: an express app to
+ * listen with, and the list of the recorded requests, as {method, path, body}.
+ */
+function createFakeGithub({ files, login = 'eslint-bot' }) {
+    const app = express();
+    const requests = [];
+    const toPullRequestFile = ({ filename, status, patch, sha }) => ({
+        filename,
+        status,
+        patch,
+        sha,
+    });
+
+    app.use(bodyParser.json());
+
+    app.get('/user', (request, response) => response.json({ login }));
+
+    app.get('/repos/:user/:repo/pulls/:number/files', (request, response) => (
+        response.json(files.map(toPullRequestFile))
+    ));
+
+    // The base commit is served as the merge base, with the same files as any other commit.
+    app.get('/repos/:user/:repo/compare/:basehead', (request, response) => (
+        response.json({
+            merge_base_commit: { sha: request.params.basehead.split('...')[0] },
+            files: files.map(toPullRequestFile),
+        })
+    ));
+
+    app.get([
+        '/repos/:user/:repo/pulls/:number/comments',
+        '/repos/:user/:repo/pulls/:number/reviews',
+        '/repos/:user/:repo/issues/:number/comments',
+    ], (request, response) => response.json([]));
+
+    app.get('/repos/:user/:repo/git/trees/:sha', (request, response) => (
+        response.json({ sha: request.params.sha, tree: getTreeEntries(files), truncated: false })
+    ));
+
+    app.get('/repos/:user/:repo/git/blobs/:sha', (request, response) => {
+        const file = files.filter(({ sha }) => sha === request.params.sha)[0];
+        if (!file) {
+            return response.status(404).json({ message: 'Not Found' });
+        }
+        return response.json({
+            sha: file.sha,
+            encoding: 'base64',
+            content: Buffer.from(file.content).toString('base64'),
+        });
+    });
+
+    // Every other request would change something on Github: it is recorded instead.
+    app.use((request, response) => {
+        if (request.method === 'GET') {
+            return response.status(404).json({ message: 'Not Found' });
+        }
+        requests.push({ method: request.method, path: request.path, body: request.body });
+        if (request.method === 'DELETE') {
+            return response.status(204).end();
+        }
+        return response.status(201).json(Object.assign({ id: requests.length }, request.body));
+    });
+
+    return { app, requests };
+}
+
+module.exports = {
+    buildAddedPatch,
+    createFakeGithub,
+    readFixtures,
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const githubRequest = require('./github-request');
+
+// Installation tokens are refreshed when they expire within this delay.
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+function base64Url(value) {
+    return Buffer.from(value).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+/**
+ * Sign the JSON Web Token authenticating as a Github App.
+ * @param  {String} appId      The Github App id
+ * @param  {String} privateKey The Github App private key, as a PEM string
+ * @param  {Number} now        The current timestamp, in milliseconds
+ * @return {String} The JWT, valid for 10 minutes.
+ */
+function createAppJwt(appId, privateKey, now) {
+    const issuedAt = Math.floor(now / 1000) - 60; // Allow for some clock drift
+    const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const payload = base64Url(JSON.stringify({ iat: issuedAt, exp: issuedAt + 600, iss: appId }));
+    const signature = crypto.createSign('RSA-SHA256')
+        .update(`${header}.${payload}`)
+        .sign(privateKey, 'base64');
+
+    return `${header}.${payload}.${base64Url(Buffer.from(signature, 'base64'))}`;
+}
+
+/**
+ * Create the authenticator of a Github App, handing out installation access tokens.
+ * Tokens are cached per installation until shortly before they expire.
+ * @param  {String}   appId      The Github App id
+ * @param  {String}   privateKey The Github App private key, as a PEM string
+ * @param  {Function} request    Sends a Github API request, defaults to githubRequest
+ * @param  {Function} now        Returns the current timestamp, defaults to Date.now
+ * @return {Object} An object shaped as {getInstallationToken, getApp}.
+ */
+function createAppAuthenticator({ appId, privateKey, request = githubRequest, now = Date.now }) {
+    const tokens = {};
+
+    function appRequest(options) {
+        return request({}, Object.assign({
+            headers: {
+                authorization: `Bearer ${createAppJwt(appId, privateKey, now())}`,
+                accept: 'application/vnd.github.machine-man-preview+json',
+            },
+        }, options));
+    }
+
+    function getInstallationToken(installationId) {
+        const cached = tokens[installationId];
+        if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN > now()) {
+            return cached.token;
+        }
+
+        const token = appRequest({
+            method: 'POST',
+            path: `/installations/${installationId}/access_tokens`,
+        }).then(({ token: value, expires_at: expiresAt }) => {
+            tokens[installationId].expiresAt = Date.parse(expiresAt);
+            return value;
+        }, (error) => {
+            delete tokens[installationId];
+            throw error;
+        });
+        // Concurrent runs for the same installation share the pending request.
+        tokens[installationId] = { token, expiresAt: Infinity };
+
+        return token;
+    }
+
+    return {
+        getApp: () => appRequest({ path: '/app' }),
+        getInstallationToken,
+    };
+}
+
+module.exports = {
+    createAppAuthenticator,
+    createAppJwt,
+};
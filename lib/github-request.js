@@ -0,0 +1,67 @@
+const http = require('http');
+const https = require('https');
+
+function getAuthorizationHeader(auth) {
+    if (!auth) {
+        return null;
+    }
+    if (auth.type === 'basic') {
+        return `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}`;
+    }
+    return `token ${auth.token}`;
+}
+
+/**
+ * Send a request to an endpoint of the Github API that the `github` client
+ * does not cover, reusing the client's authentication and host settings.
+ * @param  {Object} github  The authenticated `github` client
+ * @param  {String} method  HTTP method
+ * @param  {String} path    Endpoint path, e.g. '/repos/owner/name/pulls/1/reviews'
+ * @param  {Object} data    Optional JSON body
+ * @param  {Object} headers Optional additional headers
+ * @return {Promise} A promise of the parsed response body. It is rejected with an
+ * error holding the response `code` when Github answers with an error status.
+ */
+function githubRequest(github, { method = 'GET', path, data, headers = {} }) {
+    const body = data ? JSON.stringify(data) : '';
+    const authorization = getAuthorizationHeader(github.auth);
+    const {
+        protocol = 'https',
+        host = 'api.github.com',
+        port,
+        pathPrefix = '',
+    } = github.config || {};
+    const requestHeaders = Object.assign({
+        'user-agent': 'esLint-bot',
+        accept: 'application/vnd.github.v3+json',
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(body),
+    }, authorization ? { authorization } : {}, headers);
+
+    return new Promise((resolve, reject) => {
+        const request = (protocol === 'http' ? http : https).request({
+            hostname: host,
+            port,
+            method,
+            path: pathPrefix + path,
+            headers: requestHeaders,
+        }, (response) => {
+            const chunks = [];
+            response.on('data', (chunk) => chunks.push(chunk));
+            response.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                if (response.statusCode >= 400) {
+                    const error = new Error(text || response.statusMessage);
+                    error.code = response.statusCode;
+                    error.headers = response.headers;
+                    return reject(error);
+                }
+                return resolve(text ? JSON.parse(text) : null);
+            });
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+module.exports = githubRequest;
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const writeJsonFile = require('./json-file');
+
+/**
+ * Create the store of the rules ignored per pull request, persisted in a JSON file
+ * shaped as {'owner/repo#number': ['rule-id']}.
+ * @param  {String} file The store file path
+ * @return {Object} The store, shaped as {get, add}.
+ */
+function createIgnoredRules(file) {
+    let rules = {};
+    try {
+        rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    return {
+        get: (key) => rules[key] || [],
+        add: (key, ruleId) => {
+            rules[key] = (rules[key] || []).filter((id) => id !== ruleId).concat(ruleId);
+            writeJsonFile(file, rules, 2);
+        },
+    };
+}
+
+module.exports = createIgnoredRules;
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const writeJsonFile = require('./json-file');
+
+/**
+ * Read the persisted state of a queue.
+ * @param  {String} file The queue file path
+ * @return {Object} The state, shaped as {jobs, deadLetters}.
+ */
+function readState(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { jobs: [], deadLetters: [] };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Create a job queue persisted in a JSON file, so that no job is lost when the
+ * process restarts. Jobs are run by a bounded number of concurrent workers.
+ * Failed jobs are retried with an exponential backoff when their error is retryable,
+ * and end up in the dead letters list otherwise, or once they run out of attempts.
+ * @param  {String}   file        The queue file path
+ * @param  {Function} handler     Takes a job payload and returns a promise
+ * @param  {Function} isRetryable Tells whether an error is worth retrying
+ * @param  {Number}   concurrency Maximum number of jobs running at once
+ * @param  {Number}   maxAttempts Number of attempts before a job is given up
+ * @param  {Number}   baseDelay   Delay before the first retry, in milliseconds
+ * @return {Object} The queue, shaped as {push, getDeadLetters}.
+ */
+function createJobQueue({
+    file,
+    handler,
+    isRetryable = () => true,
+    concurrency = 2,
+    maxAttempts = 5,
+    baseDelay = 1000,
+}) {
+    // Jobs running when the process stopped are simply run again.
+    const state = readState(file);
+    const running = new Set();
+    let timer = null;
+    let nextId = state.jobs.concat(state.deadLetters)
+        .reduce((maxId, { id }) => Math.max(maxId, id), 0) + 1;
+
+    function persist() {
+        writeJsonFile(file, state, 2);
+    }
+
+    function finish(job) {
+        running.delete(job.id);
+        state.jobs = state.jobs.filter(({ id }) => id !== job.id);
+    }
+
+    function fail(job, error) {
+        running.delete(job.id);
+        job.attempts++; // eslint-disable-line no-param-reassign
+        job.lastError = error.message; // eslint-disable-line no-param-reassign
+
+        if (job.attempts < maxAttempts && isRetryable(error)) {
+            const delay = baseDelay * Math.pow(2, job.attempts - 1);
+            job.runAt = Date.now() + delay; // eslint-disable-line no-param-reassign
+            return;
+        }
+
+        /* eslint-disable no-console */
+        console.log(`Job ${job.id} failed after ${job.attempts} attempt(s):`, error.message);
+        /* eslint-enable no-console */
+        state.jobs = state.jobs.filter(({ id }) => id !== job.id);
+        state.deadLetters.push(Object.assign({}, job, { failedAt: new Date().toISOString() }));
+    }
+
+    function pump() {
+        const now = Date.now();
+        const ready = state.jobs.filter((job) => !running.has(job.id) && job.runAt <= now);
+
+        ready.slice(0, Math.max(concurrency - running.size, 0)).forEach((job) => {
+            running.add(job.id);
+            Promise.resolve()
+                .then(() => handler(job.payload))
+                .then(() => finish(job), (error) => fail(job, error))
+                .then(persist)
+                .catch((error) => {
+                    // The job is settled in memory all the same, and saved with the next one.
+                    /* eslint-disable no-console */
+                    console.log(`Could not save the queue after job ${job.id}:`, error.message);
+                    /* eslint-enable no-console */
+                })
+                .then(pump);
+        });
+
+        // Wake up for the next delayed job.
+        clearTimeout(timer);
+        const waiting = state.jobs.filter((job) => !running.has(job.id) && job.runAt > now);
+        if (waiting.length > 0) {
+            const nextRunAt = Math.min.apply(null, waiting.map(({ runAt }) => runAt));
+            timer = setTimeout(pump, nextRunAt - now);
+        }
+    }
+
+    function push(payload) {
+        state.jobs.push({ id: nextId++, payload, attempts: 0, runAt: Date.now() });
+        persist();
+        pump();
+    }
+
+    pump();
+
+    return {
+        push,
+        getDeadLetters: () => state.deadLetters,
+    };
+}
+
+module.exports = createJobQueue;
@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Write data to a JSON file, creating its directory when needed. The file is
+ * replaced at once, so that a crash while writing never leaves it truncated.
+ * @param  {String} file  The file path
+ * @param  {Object} data  The data to write
+ * @param  {Number} space The indentation of the JSON, none by default
+ */
+function writeJsonFile(file, data, space) {
+    if (!fs.existsSync(path.dirname(file))) {
+        fs.mkdirSync(path.dirname(file));
+    }
+    const temporaryFile = `${file}.tmp`;
+    fs.writeFileSync(temporaryFile, JSON.stringify(data, null, space));
+    fs.renameSync(temporaryFile, file);
+}
+
+module.exports = writeJsonFile;
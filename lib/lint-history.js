@@ -0,0 +1,149 @@
+const fs = require('fs');
+const writeJsonFile = require('./json-file');
+const getProblemId = require('./comment-format').getProblemId;
+
+/**
+ * Count the problems of lint results by rule and by file.
+ * @param  {Array} lintResults Objects shaped as {file, messages}
+ * @return {Object} The counts, shaped as {rules, files}, both mapping names to counts.
+ */
+function countProblemsByRule(lintResults) {
+    const rules = {};
+    const files = {};
+    lintResults.forEach(({ file, messages }) => {
+        messages.forEach((message) => {
+            const ruleId = getProblemId(message);
+            rules[ruleId] = (rules[ruleId] || 0) + 1;
+        });
+        if (messages.length > 0) {
+            files[file.filename] = messages.length;
+        }
+    });
+    return { rules, files };
+}
+
+// The Monday starting the week of a date, as 'YYYY-MM-DD'
+function getWeekStart(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+}
+
+const sumCounts = (counts) => Object.keys(counts).reduce((sum, name) => sum + counts[name], 0);
+
+// The runs of a pull request, or of a pushed commit, replace the previous ones.
+const getRunKey = ({ pullRequest, sha }) => (pullRequest ? `#${pullRequest}` : sha);
+
+function keepLatestRuns(runs) {
+    const latest = {};
+    runs.forEach((run) => {
+        latest[getRunKey(run)] = run;
+    });
+    return Object.keys(latest).map((key) => latest[key]);
+}
+
+function rankCounts(runs, field, limit) {
+    const totals = {};
+    runs.forEach((run) => {
+        Object.keys(run[field]).forEach((name) => {
+            totals[name] = (totals[name] || 0) + run[field][name];
+        });
+    });
+    return Object.keys(totals)
+        .map((name) => ({ name, count: totals[name] }))
+        .sort((a, b) => b.count - a.count || (a.name < b.name ? -1 : 1))
+        .slice(0, limit);
+}
+
+/**
+ * Sum up the lint runs of a repository. The top rules and the noisiest files
+ * only count the latest run of each pull request, which covers the current
+ * state of its files.
+ * @param  {Array}  runs  The runs, in chronological order
+ * @param  {Number} limit The number of rules and files to rank
+ * @return {Object} The summary, shaped as {runs, topRules, noisiestFiles, weeks}. The
+ * rankings are objects shaped as {name, count}, the weeks as {week, runs, problems,
+ * introduced, fixed}, `introduced` and `fixed` being null for weeks without baseline runs.
+ */
+function summarizeRuns(runs, limit = 10) {
+    const latestRuns = keepLatestRuns(runs);
+    const runsByWeek = {};
+    runs.forEach((run) => {
+        const week = getWeekStart(run.date);
+        runsByWeek[week] = (runsByWeek[week] || []).concat(run);
+    });
+    const sumKnown = (weekRuns, field) => weekRuns.reduce((sum, run) => (
+        run[field] === null ? sum : (sum || 0) + run[field]
+    ), null);
+
+    return {
+        runs: runs.length,
+        topRules: rankCounts(latestRuns, 'rules', limit),
+        noisiestFiles: rankCounts(latestRuns, 'files', limit),
+        weeks: Object.keys(runsByWeek).sort().map((week) => ({
+            week,
+            runs: runsByWeek[week].length,
+            problems: keepLatestRuns(runsByWeek[week]).reduce((sum, run) => (
+                sum + sumCounts(run.rules)
+            ), 0),
+            introduced: sumKnown(runsByWeek[week], 'introduced'),
+            fixed: sumKnown(runsByWeek[week], 'fixed'),
+        })),
+    };
+}
+
+/**
+ * Create the store of the lint runs of each repository, persisted in a JSON file
+ * shaped as {'owner/repo': [run]}. Only the latest runs of a repository are kept.
+ * The file is written once the runs recorded within `writeDelay` are in, rather
+ * than on every run.
+ * @param  {String} file       The store file path
+ * @param  {Number} maxRuns    The number of runs kept per repository
+ * @param  {Number} writeDelay The delay in milliseconds before writing the file
+ * @return {Object} The store, shaped as {record, getRuns}.
+ */
+function createLintHistory(file, maxRuns = 1000, writeDelay = 5000) {
+    let history = {};
+    let writeTimer = null;
+    try {
+        history = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    return {
+        /**
+         * Record a lint run.
+         * @param  {String} fullName The repository full name, e.g. 'owner/repo'
+         * @param  {Object} run      The run, shaped as {pullRequest, sha, author, date,
+         * rules, files, introduced, fixed}
+         */
+        record(fullName, run) {
+            history[fullName] = (history[fullName] || []).concat(run).slice(-maxRuns);
+            if (writeTimer) {
+                return;
+            }
+            writeTimer = setTimeout(() => {
+                writeTimer = null;
+                try {
+                    writeJsonFile(file, history);
+                } catch (error) {
+                    // The runs are still in memory, and written along with the next one.
+                    /* eslint-disable no-console */
+                    console.log(`Could not write the lint history: ${error.message}`);
+                    /* eslint-enable no-console */
+                }
+            }, writeDelay);
+        },
+        getRuns: (fullName) => history[fullName] || [],
+    };
+}
+
+module.exports = {
+    countProblemsByRule,
+    createLintHistory,
+    summarizeRuns,
+};
@@ -0,0 +1,146 @@
+const childProcess = require('child_process');
+const path = require('path');
+
+const WORKER_FILE = path.join(__dirname, 'lint-worker.js');
+const EXPECTED_ERRORS = ['LINT_UNAVAILABLE', 'LINT_CONFIG_INVALID'];
+
+/**
+ * Create an error carrying a code, like the ones the lints are rejected with.
+ * @param  {String} message The error message
+ * @param  {String} code    The error code, e.g. 'LINT_UNAVAILABLE'
+ * @return {Error} The error.
+ */
+function createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Create a pool of child processes running the linters, so that linting never
+ * blocks the server, and that the code of the linters, plugins and parsers never
+ * runs in the process holding the Github credentials. The children only get
+ * the `PATH` env var, but a process of the same user can still read the env vars
+ * of the server from /proc: given a uid and gid, the children run as that user.
+ * A child taking longer than the timeout to lint a file is killed, and so is
+ * one running out of memory: the lint is then rejected with a `LINT_TIMEOUT`
+ * or `LINT_CRASHED` error code. A linter which isn't installed rejects the lint
+ * with a `LINT_UNAVAILABLE` error code, a configuration which can't be loaded with
+ * `LINT_CONFIG_INVALID`, and any other failure with `LINT_FAILED`.
+ * @param  {Number} size      The most children running at once
+ * @param  {Number} timeout   The longest time to lint a file, in milliseconds
+ * @param  {Number} maxMemory The heap size of each child, in megabytes
+ * @param  {Number} uid       The optional user id to run the children as
+ * @param  {Number} gid       The optional group id to run the children as
+ * @return {Object} The pool, shaped as {lint}. `lint` takes the linter options, a
+ * content, a filename and the linter name, ESLint by default, and returns a promise
+ * of the lint result, shaped as {messages, output}. See linters.js.
+ */
+function createLintPool({ size = 2, timeout = 30000, maxMemory = 512, uid, gid }) {
+    const idleWorkers = [];
+    const waitingJobs = [];
+    let workerCount = 0;
+    let lastId = 0;
+
+    const spawnWorker = () => {
+        const child = childProcess.fork(WORKER_FILE, [], {
+            env: { PATH: process.env.PATH },
+            execArgv: [`--max-old-space-size=${maxMemory}`],
+            uid,
+            gid,
+        });
+        const worker = { child, job: null, timer: null, timedOut: false };
+
+        child.on('message', ({ id, result, error, code }) => {
+            const { job } = worker;
+            if (!job || job.id !== id) {
+                return;
+            }
+            clearTimeout(worker.timer);
+            worker.job = null;
+            if (error) {
+                // Missing linters and invalid configurations are told apart from the failing lints.
+                job.reject(createError(error, EXPECTED_ERRORS.indexOf(code) !== -1
+                    ? code
+                    : 'LINT_FAILED'));
+            } else {
+                job.resolve(result);
+            }
+            release(worker); // eslint-disable-line no-use-before-define
+        });
+        child.on('exit', () => {
+            clearTimeout(worker.timer);
+            workerCount--;
+            const index = idleWorkers.indexOf(worker);
+            if (index !== -1) {
+                idleWorkers.splice(index, 1);
+            }
+            if (worker.job) {
+                worker.job.reject(worker.timedOut
+                    ? createError(`Linting ${worker.job.filename} timed out`, 'LINT_TIMEOUT')
+                    : createError(`Linting ${worker.job.filename} crashed`, 'LINT_CRASHED'));
+            }
+            if (waitingJobs.length > 0) {
+                run(spawnWorker(), waitingJobs.shift()); // eslint-disable-line no-use-before-define
+            }
+        });
+
+        workerCount++;
+        return worker;
+    };
+
+    // Busy children keep the process alive until their job is done, idle ones don't.
+    const setBusy = (worker, busy) => {
+        const method = busy ? 'ref' : 'unref';
+        worker.child[method]();
+        worker.child.channel[method]();
+    };
+
+    const run = (worker, job) => {
+        setBusy(worker, true);
+        /* eslint-disable no-param-reassign */
+        worker.job = job;
+        worker.timer = setTimeout(() => {
+            worker.timedOut = true;
+            worker.child.kill('SIGKILL');
+        }, timeout);
+        /* eslint-enable no-param-reassign */
+        worker.child.send({
+            id: job.id,
+            linter: job.linter,
+            options: job.options,
+            content: job.content,
+            filename: job.filename,
+        });
+    };
+
+    const release = (worker) => {
+        if (waitingJobs.length > 0) {
+            run(worker, waitingJobs.shift());
+        } else {
+            setBusy(worker, false);
+            idleWorkers.push(worker);
+        }
+    };
+
+    const lint = (options, content, filename, linter = 'eslint') => (
+        new Promise((resolve, reject) => {
+            lastId++;
+            const job = { id: lastId, linter, options, content, filename, resolve, reject };
+            if (idleWorkers.length > 0) {
+                run(idleWorkers.pop(), job);
+            } else if (workerCount < size) {
+                run(spawnWorker(), job);
+            } else {
+                waitingJobs.push(job);
+            }
+        })
+    );
+
+    return { lint };
+}
+
+module.exports = {
+    createError,
+    createLintPool,
+};
@@ -0,0 +1,12 @@
+// Runs the linters in a child process of the lint pool, see lint-pool.js.
+const linters = require('./linters');
+
+process.on('message', ({ id, linter, options, content, filename }) => {
+    Promise.resolve()
+        .then(() => linters.ADAPTERS[linter].lint(options, content, filename))
+        .then(({ messages, output }) => {
+            process.send({ id, result: { messages, output } });
+        }, (error) => {
+            process.send({ id, error: error.message, code: error.code });
+        });
+});
@@ -0,0 +1,295 @@
+const path = require('path');
+const _ = require('lodash');
+const ConfigFile = require('eslint/lib/config/config-file');
+const ConfigOps = require('eslint/lib/config/config-ops');
+const Plugins = require('eslint/lib/config/plugins');
+const getLineOffsets = require('./suggestions').getLineOffsets;
+const processors = require('./processors');
+const parseConfig = require('./eslint-config').parseConfig;
+const createError = require('./lint-pool').createError;
+
+/*
+ * A linter adapter lints the content of a file in a lint pool child, see
+ * lint-worker.js. Its `lint` function takes the options the server built for the
+ * file, the content and the filename, and returns a promise of {messages, output}:
+ * the messages in ESLint's shape, {line, column, severity, ruleId, message, fix},
+ * with `fatal` set for parsing errors and an optional `docsUrl`, and the fixed
+ * content when asked to fix and something changed.
+ * Besides ESLint, whose configuration is looked up like ESLint does, the adapters
+ * read their configuration from the root of the repository.
+ */
+
+// The linters besides ESLint are installed alongside the bot, when they're used.
+function requireLinter(name) {
+    try {
+        return require(name); // eslint-disable-line global-require
+    } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND') {
+            throw createError(`${name} is not installed`, 'LINT_UNAVAILABLE');
+        }
+        throw error;
+    }
+}
+
+// Above this number of configurations, the engines are created anew.
+const MAX_ENGINES = 20;
+let engines = {};
+
+const isFilePath = (parent) => path.isAbsolute(parent) || !/\w|@/.test(parent.charAt(0));
+
+/**
+ * Resolve the shareable configurations and plugins a configuration file extends,
+ * the way ESLint does for each file before cascading them.
+ * @param  {Object} config The configuration, as committed in the repository
+ * @return {Object} The configuration, merged over the ones it extends.
+ */
+function resolveExtends(config) {
+    if (config.plugins) {
+        Plugins.loadAll(config.plugins);
+    }
+    if (!config.extends) {
+        return config;
+    }
+    // They would be read on the disk of the bot, not in the repository.
+    const files = [].concat(config.extends).filter(isFilePath);
+    if (files.length > 0) {
+        throw new Error(`\`extends\` can't point to a file: ${files.join(', ')}`);
+    }
+    return _.omit(ConfigFile.applyExtends(config, ''), 'extends');
+}
+
+function getEngine(options) {
+    const key = JSON.stringify(options);
+    if (!engines[key]) {
+        if (Object.keys(engines).length >= MAX_ENGINES) {
+            engines = {};
+        }
+        const CLIEngine = require('eslint').CLIEngine; // eslint-disable-line global-require
+        const baseConfig = options.configs.reduce((merged, config) => (
+            ConfigOps.merge(merged, resolveExtends(config))
+        ), {});
+        // The files to lint are already filtered: ESLint mustn't skip them for the
+        // .eslintignore of the server, nor for its default ignores of the dotfiles,
+        // node_modules and bower_components, which `dotfiles` and `patterns` undo.
+        engines[key] = new CLIEngine({
+            useEslintrc: false,
+            ignore: false,
+            dotfiles: true,
+            patterns: ['!/node_modules/*', '!/bower_components/*'],
+            baseConfig,
+            fix: options.fix,
+        });
+        // Lints the scripts embedded in Vue components and Markdown documents.
+        engines[key].addPlugin('eslint-bot', processors.plugin);
+    }
+    return engines[key];
+}
+
+// The messages of the errors hold the paths of the server, which aren't for the pull requests.
+function describeLoadError(error) {
+    const missingModule = /Cannot find module '([^']+)'/.exec(error.message);
+    return missingModule
+        ? `\`${missingModule[1]}\` is not installed`
+        : error.message.split('\n')[0];
+}
+
+const eslint = {
+    // The options are shaped as {configs, fix}: the configurations applying to the
+    // file, from the outermost one, and whether to fix the problems.
+    lint: (options, content, filename) => {
+        let engine = null;
+        try {
+            engine = getEngine({ configs: options.configs, fix: Boolean(options.fix) });
+        } catch (error) {
+            // The repositories can extend shareable configurations and plugins the bot lacks.
+            return Promise.reject(createError(
+                `ESLint configuration not loaded, ${describeLoadError(error)}`,
+                'LINT_CONFIG_INVALID'
+            ));
+        }
+        const { messages, output } = engine.executeOnText(content, filename).results[0];
+        // ESLint reports the parsers it can't load as the parsing errors of the file.
+        const missingParser = _.find(messages, ({ fatal, message }) => (
+            fatal && /Cannot find module/.test(message)
+        ));
+        if (missingParser) {
+            return Promise.reject(createError(
+                `ESLint parser ${describeLoadError(missingParser)}`,
+                'LINT_UNAVAILABLE'
+            ));
+        }
+        return Promise.resolve({ messages, output });
+    },
+};
+
+const stylelint = {
+    configFiles: ['.stylelintrc', '.stylelintrc.json', '.stylelintrc.yaml', '.stylelintrc.yml'],
+    packageField: 'stylelint',
+    // Without a configuration, stylelint has no rule to check.
+    requiresConfig: true,
+    lint: ({ config, fix }, content, filename) => requireLinter('stylelint').lint({
+        code: content,
+        codeFilename: filename,
+        config,
+        fix: Boolean(fix),
+    }).then((result) => {
+        const { warnings } = result.results[0];
+        // Depending on its version, stylelint gives the fixed code as `code` or `output`.
+        const fixed = fix ? result.code || result.output : undefined;
+        return {
+            messages: warnings.map(({ rule, severity, text, line, column }) => {
+                const isSyntaxError = rule === 'CssSyntaxError';
+                return {
+                    ruleId: isSyntaxError ? null : rule,
+                    fatal: isSyntaxError || undefined,
+                    severity: severity === 'error' ? 2 : 1,
+                    message: isSyntaxError
+                        ? `Parsing error: ${text.replace(/ \(CssSyntaxError\)$/, '')}`
+                        : text.replace(` (${rule})`, ''),
+                    line,
+                    column,
+                    // The rules of the plugins are named after them.
+                    docsUrl: rule.indexOf('/') === -1 && !isSyntaxError
+                        ? `https://stylelint.io/user-guide/rules/${rule}`
+                        : undefined,
+                };
+            }),
+            output: fixed !== undefined && fixed !== content ? fixed : undefined,
+        };
+    }),
+};
+
+function findResync(before, after, start, window) {
+    for (let distance = 1; distance <= window; distance++) {
+        for (let skipped = 0; skipped <= distance; skipped++) {
+            const i = start.i + skipped;
+            const j = start.j + (distance - skipped);
+            if (i < before.length && j < after.length && before[i] === after[j]) {
+                return { i, j };
+            }
+        }
+    }
+    return { i: before.length, j: after.length };
+}
+
+/**
+ * Find the regions of a text which changed in another version of it, line by
+ * line. After a changed line, both versions are synchronized again on the
+ * nearest identical lines, looked up to `window` lines away.
+ * @param  {Array}  before The lines of the text
+ * @param  {Array}  after  The lines of the other version
+ * @param  {Number} window The most lines a region spans in either version
+ * @return {Array} The regions, shaped as {start, end, lines}: the lines of `before`
+ * from `start` included to `end` excluded are replaced by the `lines` of `after`.
+ */
+function findChangedRegions(before, after, window = 50) {
+    const regions = [];
+    let position = { i: 0, j: 0 };
+    while (position.i < before.length || position.j < after.length) {
+        if (position.i < before.length && position.j < after.length
+            && before[position.i] === after[position.j]) {
+            position = { i: position.i + 1, j: position.j + 1 };
+        } else {
+            const resync = findResync(before, after, position, window);
+            regions.push({
+                start: position.i,
+                end: resync.i,
+                lines: after.slice(position.j, resync.j),
+            });
+            position = resync;
+        }
+    }
+    return regions;
+}
+
+// Prettier tells how a file should be formatted, the differences make the messages.
+function compareFormatting(content, formatted) {
+    const before = content.split('\n');
+    const lineOffsets = getLineOffsets(content);
+    const getOffset = (line) => (line < before.length ? lineOffsets[line] : content.length);
+
+    return findChangedRegions(before, formatted.split('\n')).map(({ start, end, lines }) => {
+        let text = lines.map((line) => `${line}\n`).join('');
+        let rangeStart = getOffset(start);
+        if (end === before.length) {
+            // The region goes to the end of the file, which has no line break of its own.
+            text = (start === before.length ? '\n' : '') + lines.join('\n');
+            // Removed whole, it leaves the line before it last, without its line break.
+            if (lines.length === 0 && start > 0) {
+                rangeStart -= 1;
+            }
+        }
+        return {
+            ruleId: 'prettier',
+            severity: 1,
+            message: 'The formatting differs from Prettier.',
+            line: Math.min(start, before.length - 1) + 1,
+            column: 1,
+            fix: { range: [rangeStart, getOffset(end)], text },
+            docsUrl: 'https://prettier.io/docs/en/options.html',
+        };
+    });
+}
+
+const prettier = {
+    configFiles: ['.prettierrc', '.prettierrc.json', '.prettierrc.yaml', '.prettierrc.yml'],
+    packageField: 'prettier',
+    requiresConfig: false,
+    lint: ({ config, fix }, content, filename) => {
+        const options = Object.assign({}, config, { filepath: filename });
+        // Prettier formats synchronously up to its version 2, and asynchronously since.
+        return Promise.resolve()
+            .then(() => requireLinter('prettier').format(content, options))
+            .then((formatted) => ({
+                messages: compareFormatting(content, formatted),
+                output: fix && formatted !== content ? formatted : undefined,
+            }), (error) => {
+                if (!error.loc) {
+                    throw error;
+                }
+                const [description] = error.message.split('\n');
+                return {
+                    messages: [{
+                        ruleId: null,
+                        fatal: true,
+                        severity: 2,
+                        message: `Parsing error: ${description.replace(/ \(\d+:\d+\)$/, '')}`,
+                        line: error.loc.start.line,
+                        column: error.loc.start.column,
+                    }],
+                };
+            });
+    },
+};
+
+const ADAPTERS = { eslint, stylelint, prettier };
+
+/**
+ * Load the configuration of a linter from the root of the repository.
+ * @param  {String}   name     The linter name, other than 'eslint'
+ * @param  {Function} readFile Takes a filename and returns a promise of its content,
+ * rejected with a 404 error code when the file doesn't exist
+ * @return {Promise} A promise of the configuration, or null when there's none. It is
+ * rejected with a `LINT_CONFIG_INVALID` error code when the configuration can't be parsed.
+ */
+function loadLinterConfig(name, readFile) {
+    const { configFiles, packageField } = ADAPTERS[name];
+    return configFiles.concat('package.json').reduce((previous, filename) => (
+        previous.then((config) => config || readFile(filename).then(
+            (text) => parseConfig(filename, text, packageField),
+            (error) => {
+                if (error.code === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        ))
+    ), Promise.resolve(null));
+}
+
+module.exports = {
+    ADAPTERS,
+    compareFormatting,
+    findChangedRegions,
+    loadLinterConfig,
+};
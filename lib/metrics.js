@@ -0,0 +1,122 @@
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const names = Object.keys(labels);
+    if (names.length === 0) {
+        return '';
+    }
+    return `{${names.map((name) => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+}
+
+// The series of a metric, by their labels
+function createSeries() {
+    const series = new Map();
+    return {
+        get(labels, create) {
+            const key = formatLabels(labels);
+            if (!series.has(key)) {
+                series.set(key, { labels, value: create() });
+            }
+            return series.get(key);
+        },
+        forEach: (callback) => series.forEach(callback),
+    };
+}
+
+function createCounter(series) {
+    return {
+        inc(labels = {}, amount = 1) {
+            const entry = series.get(labels, () => 0);
+            entry.value += amount;
+        },
+        render: (name) => {
+            const lines = [];
+            series.forEach(({ labels, value }) => {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            });
+            return lines;
+        },
+    };
+}
+
+function createGauge(series) {
+    return Object.assign(createCounter(series), {
+        set(labels, value) {
+            const entry = series.get(labels, () => 0);
+            entry.value = value;
+        },
+    });
+}
+
+function createHistogram(series, buckets) {
+    return {
+        observe(labels, value) {
+            const entry = series.get(labels, () => ({
+                counts: buckets.map(() => 0),
+                sum: 0,
+                count: 0,
+            })).value;
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    entry.counts[index]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        render: (name) => {
+            const lines = [];
+            series.forEach(({ labels, value }) => {
+                buckets.forEach((bound, index) => {
+                    const bucketLabels = Object.assign({}, labels, { le: bound });
+                    const count = value.counts[index];
+                    lines.push(`${name}_bucket${formatLabels(bucketLabels)} ${count}`);
+                });
+                const allLabels = Object.assign({}, labels, { le: '+Inf' });
+                lines.push(`${name}_bucket${formatLabels(allLabels)} ${value.count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${value.sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+            });
+            return lines;
+        },
+    };
+}
+
+/**
+ * Create a registry of metrics, rendered in the Prometheus text format.
+ * @return {Object} The registry, shaped as {counter, gauge, histogram, render}. The
+ * first three take the name and help text of a metric, and histograms optionally
+ * their buckets, and return the metric, with `inc`, `set` or `observe` methods
+ * taking the labels of the series first.
+ */
+function createRegistry() {
+    const metrics = [];
+    const register = (type, name, help, metric) => {
+        metrics.push({ type, name, help, metric });
+        return metric;
+    };
+
+    return {
+        counter: (name, help) => register('counter', name, help, createCounter(createSeries())),
+        gauge: (name, help) => register('gauge', name, help, createGauge(createSeries())),
+        histogram: (name, help, buckets = DEFAULT_BUCKETS) => register(
+            'histogram',
+            name,
+            help,
+            createHistogram(createSeries(), buckets)
+        ),
+        render: () => metrics.map(({ type, name, help, metric }) => (
+            [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`].concat(metric.render(name))
+                .join('\n')
+        )).join('\n').concat('\n'),
+    };
+}
+
+module.exports = createRegistry;
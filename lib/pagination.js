@@ -0,0 +1,24 @@
+/**
+ * Fetch every page of a paginated list of the Github API.
+ * @param  {Object}  github    The `github` client
+ * @param  {Promise} firstPage A promise of the first page, as returned by the client
+ * @param  {Number}  maxPages  The most pages to fetch
+ * @return {Promise} A promise of the items of every page.
+ */
+function getAllPages(github, firstPage, maxPages = 30) {
+    const fetchFrom = (page, items, count) => {
+        const allItems = items.concat(page);
+        if (count >= maxPages || !github.hasNextPage(page)) {
+            return allItems;
+        }
+        return new Promise((resolve, reject) => {
+            github.getNextPage(page, (error, nextPage) => (
+                error ? reject(error) : resolve(nextPage)
+            ));
+        }).then((nextPage) => fetchFrom(nextPage, allItems, count + 1));
+    };
+
+    return firstPage.then((page) => fetchFrom(page, [], 1));
+}
+
+module.exports = getAllPages;
@@ -0,0 +1,140 @@
+const path = require('path');
+const getLineOffsets = require('./suggestions').getLineOffsets;
+
+// The parsers of the extensions plain ESLint can't read, unless the repository picks its own.
+const DEFAULT_PARSERS = {
+    '.ts': 'typescript-eslint-parser',
+    '.tsx': 'typescript-eslint-parser',
+};
+
+const SCRIPT_LANGUAGES = ['js', 'javascript', 'jsx', 'node'];
+
+/**
+ * Get the parser to lint a file with.
+ * @param  {String} filename The file path
+ * @param  {Object} parsers  The parser module names by extension, overriding the default ones
+ * @return {String} The parser module name, or undefined to keep the configured parser.
+ */
+function getParser(filename, parsers) {
+    return Object.assign({}, DEFAULT_PARSERS, parsers)[path.extname(filename)];
+}
+
+function createBlock(text, lineOffsets, start, end) {
+    let line = 0;
+    while (line + 1 < lineOffsets.length && lineOffsets[line + 1] <= start) {
+        line++;
+    }
+    return { text: text.slice(start, end), offset: start, line, column: start - lineOffsets[line] };
+}
+
+/**
+ * Find the `<script>` blocks of a Vue single file component. Blocks in other
+ * languages, e.g. `lang="ts"`, are left out.
+ * @param  {String} text The component source
+ * @return {Array} The blocks, with their text and position in the file.
+ */
+function extractVueBlocks(text) {
+    const lineOffsets = getLineOffsets(text);
+    const blocks = [];
+    const scriptTag = /<script(\s[^>]*)?>/gi;
+    let match = scriptTag.exec(text);
+    while (match) {
+        const lang = /\slang=["']?([\w-]+)/i.exec(match[1] || '');
+        const start = match.index + match[0].length;
+        const end = text.indexOf('</script>', start);
+        if (end === -1) {
+            break;
+        }
+        if (!lang || SCRIPT_LANGUAGES.indexOf(lang[1].toLowerCase()) !== -1) {
+            blocks.push(createBlock(text, lineOffsets, start, end));
+        }
+        scriptTag.lastIndex = end;
+        match = scriptTag.exec(text);
+    }
+    return blocks;
+}
+
+/**
+ * Find the JavaScript code blocks of a Markdown document, i.e. the fenced
+ * blocks tagged as `js`, `javascript`, `jsx` or `node`.
+ * @param  {String} text The document
+ * @return {Array} The blocks, with their text and position in the file.
+ */
+function extractMarkdownBlocks(text) {
+    const lineOffsets = getLineOffsets(text);
+    const lines = text.split(/\r?\n/);
+    const blocks = [];
+    let fence = null;
+    let start;
+    lines.forEach((lineText, index) => {
+        if (!fence) {
+            const opening = /^ {0,3}(`{3,}|~{3,})\s*([\w-]*)/.exec(lineText);
+            if (opening && SCRIPT_LANGUAGES.indexOf(opening[2].toLowerCase()) !== -1) {
+                fence = opening[1];
+                start = lineOffsets[index + 1];
+            }
+        } else if (lineText.trim().indexOf(fence) === 0) {
+            blocks.push(createBlock(text, lineOffsets, start, lineOffsets[index]));
+            fence = null;
+        }
+    });
+    return blocks;
+}
+
+/**
+ * Translate a message of an embedded block to the position of the block in the
+ * file, so that it can be looked up in the diff.
+ * @param  {Object} block   The block, as returned by the extract functions
+ * @param  {Object} message The ESLint message
+ * @return {Object} The translated message.
+ */
+function translateMessage(block, message) {
+    const translated = Object.assign({}, message, {
+        line: message.line + block.line,
+        // Only the first line of a block may not start at the beginning of a file line.
+        column: message.line === 1 ? message.column + block.column : message.column,
+    });
+    if (message.fix) {
+        translated.fix = {
+            range: message.fix.range.map((offset) => offset + block.offset),
+            text: message.fix.text,
+        };
+    }
+    return translated;
+}
+
+function createProcessor(extractBlocks) {
+    // ESLint lints the blocks synchronously, between preprocess and postprocess.
+    const blocksByFile = {};
+    return {
+        preprocess(text, filename) {
+            blocksByFile[filename] = extractBlocks(text);
+            return blocksByFile[filename].map((block) => block.text);
+        },
+        postprocess(messagesByBlock, filename) {
+            const blocks = blocksByFile[filename];
+            delete blocksByFile[filename];
+            return messagesByBlock.reduce((messages, blockMessages, index) => messages.concat(
+                blockMessages.map((message) => translateMessage(blocks[index], message))
+            ), []);
+        },
+    };
+}
+
+// An ESLint plugin holding the processors of the files embedding JavaScript.
+const plugin = {
+    processors: {
+        '.vue': createProcessor(extractVueBlocks),
+        '.md': createProcessor(extractMarkdownBlocks),
+        '.markdown': createProcessor(extractMarkdownBlocks),
+    },
+};
+
+module.exports = {
+    DEFAULT_PARSERS,
+    extractMarkdownBlocks,
+    extractVueBlocks,
+    getParser,
+    plugin,
+    translateMessage,
+};
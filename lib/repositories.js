@@ -0,0 +1,82 @@
+const fs = require('fs');
+const minimatch = require('minimatch');
+
+/**
+ * Turn an `owner/repo` pattern, where `*` matches any sequence of characters
+ * but a slash, into a regular expression.
+ * @param  {String} pattern The repository pattern, e.g. 'my-organisation/*'
+ * @return {RegExp} The matching regular expression.
+ */
+function patternToRegExp(pattern) {
+    const source = pattern
+        .split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^/]*');
+
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Read the repositories the bot serves, with their settings.
+ * They come from the JSON file at REPOSITORIES_CONFIG, an array of objects shaped as
+ * {pattern, fileFilter, eslintConfig, pushBranches}, and from the comma separated patterns of the
+ * REPOSITORIES env var. The REPOSITORY_OWNER and REPOSITORY_NAME env vars are still
+ * understood as a single repository.
+ * @param  {Object} env The environment variables
+ * @return {Array} Objects shaped as {pattern, fileFilter, eslintConfig}, empty when
+ * every repository is allowed.
+ */
+function readRepositorySettings(env) {
+    const fromFile = env.REPOSITORIES_CONFIG
+        ? JSON.parse(fs.readFileSync(env.REPOSITORIES_CONFIG, 'utf8'))
+        : [];
+    const fromEnv = (env.REPOSITORIES || '')
+        .split(',')
+        .map((pattern) => pattern.trim())
+        .filter(Boolean)
+        .map((pattern) => ({ pattern }));
+    const legacy = env.REPOSITORY_OWNER && env.REPOSITORY_NAME
+        ? [{ pattern: `${env.REPOSITORY_OWNER}/${env.REPOSITORY_NAME}` }]
+        : [];
+
+    return fromFile.concat(fromEnv, legacy);
+}
+
+/**
+ * Create a lookup for the settings of a repository.
+ * @param  {Array} repositorySettings Objects shaped as {pattern, fileFilter, eslintConfig}
+ * @return {Function} A function taking an `owner/repo` full name and returning its
+ * settings, or null when the repository is not allowed. The first matching pattern wins.
+ */
+function createSettingsLookup(repositorySettings) {
+    const matchers = repositorySettings.map((settings) => ({
+        regExp: patternToRegExp(settings.pattern),
+        settings,
+    }));
+
+    return (fullName) => {
+        if (matchers.length === 0) {
+            return {};
+        }
+        const matcher = matchers.filter(({ regExp }) => regExp.test(fullName))[0];
+        return matcher ? matcher.settings : null;
+    };
+}
+
+/**
+ * Tell whether a pushed ref is one of the branches the bot lints the pushes of.
+ * @param  {Array}  branches The branch globs, e.g. ['main', 'release/*']
+ * @param  {String} ref      The pushed ref, e.g. 'refs/heads/main'
+ * @return {Boolean} True when the ref is a linted branch, and not e.g. a tag.
+ */
+function isLintedBranch(branches, ref) {
+    const match = /^refs\/heads\/(.+)$/.exec(ref);
+    return Boolean(match) && branches.some((branch) => minimatch(match[1], branch));
+}
+
+module.exports = {
+    createSettingsLookup,
+    isLintedBranch,
+    patternToRegExp,
+    readRepositorySettings,
+};
@@ -0,0 +1,132 @@
+const path = require('path');
+
+/**
+ * Create a cache of file contents by blob sha. As a blob sha is the hash of
+ * its content, cached contents never get stale. The least recently used
+ * contents are dropped once the cache holds more than its size.
+ * @param  {Number} maxSize The most characters held by the cache
+ * @return {Object} The cache, shaped as {get, set}.
+ */
+function createBlobCache(maxSize) {
+    // Maps iterate in insertion order, so the first key is the least recently used one.
+    const contents = new Map();
+    let size = 0;
+
+    return {
+        get(sha) {
+            const content = contents.get(sha);
+            if (content !== undefined) {
+                contents.delete(sha);
+                contents.set(sha, content);
+            }
+            return content;
+        },
+        set(sha, content) {
+            if (contents.has(sha) || content.length > maxSize) {
+                return;
+            }
+            contents.set(sha, content);
+            size += content.length;
+            while (size > maxSize) {
+                const oldest = contents.keys().next().value;
+                size -= contents.get(oldest).length;
+                contents.delete(oldest);
+            }
+        },
+    };
+}
+
+function notFound(filename) {
+    const error = new Error(`${filename} was not found`);
+    error.code = 404;
+    return error;
+}
+
+/**
+ * Create a reader of the files of a repository at a given commit. The whole
+ * tree of the commit is fetched once, then every file content is fetched as a
+ * blob, which works for files of any size, unlike the contents API.
+ * @param  {Object} repository The repository, shaped as {user, repo, github}
+ * @param  {String} sha        The commit sha
+ * @param  {Object} blobCache  The cache of the blob contents
+ * @return {Object} The reader, shaped as {readFile, listDirectory}.
+ */
+function createFileReader(repository, sha, blobCache) {
+    const { user, repo, github } = repository;
+    let treePromise;
+
+    const getTree = () => {
+        if (!treePromise) {
+            treePromise = github.gitdata.getTree({ user, repo, sha, recursive: true })
+                .then(({ tree, truncated }) => ({ entries: tree, truncated }));
+        }
+        return treePromise;
+    };
+
+    // Used when the tree is too large for Github to send it whole.
+    const getContentEntry = (filename) => github.repos.getContent({
+        user,
+        repo,
+        path: filename,
+        ref: sha,
+    });
+
+    const readBlob = (blobSha) => {
+        const cached = blobCache.get(blobSha);
+        if (cached !== undefined) {
+            return Promise.resolve(cached);
+        }
+        return github.gitdata.getBlob({ user, repo, sha: blobSha }).then(({ content }) => {
+            // `atob` would return a binary string, mangling every non-ASCII character.
+            const text = Buffer.from(content, 'base64').toString('utf8');
+            blobCache.set(blobSha, text);
+            return text;
+        });
+    };
+
+    /**
+     * Read a file.
+     * @param  {String} filename The file path
+     * @param  {String} blobSha  The blob sha of the file, when already known
+     * @return {Promise} A promise of the content, rejected with a 404 error code
+     * when the file doesn't exist.
+     */
+    const readFile = (filename, blobSha) => {
+        if (blobSha) {
+            return readBlob(blobSha);
+        }
+        return getTree().then(({ entries, truncated }) => {
+            const entry = entries.filter((candidate) => (
+                candidate.path === filename && candidate.type === 'blob'
+            ))[0];
+            if (entry) {
+                return readBlob(entry.sha);
+            }
+            if (truncated) {
+                return getContentEntry(filename).then((data) => readBlob(data.sha));
+            }
+            throw notFound(filename);
+        });
+    };
+
+    /**
+     * List the names of the files and directories of a directory.
+     * @param  {String} directory The directory path, '' for the root directory
+     * @return {Promise} A promise of the names.
+     */
+    const listDirectory = (directory) => getTree().then(({ entries, truncated }) => {
+        if (truncated) {
+            return getContentEntry(directory).then((data) => data.map(({ name }) => name));
+        }
+        return entries
+            .filter((entry) => path.posix.dirname(entry.path) === (directory || '.'))
+            .map((entry) => path.posix.basename(entry.path));
+    });
+
+    return { readFile, listDirectory };
+}
+
+module.exports = {
+    createBlobCache,
+    createFileReader,
+};
@@ -0,0 +1,105 @@
+/**
+ * Compute the offset at which each line of a text starts.
+ * @param  {String} content The text
+ * @return {Array} The offsets, the first line being at index 0.
+ */
+function getLineOffsets(content) {
+    const offsets = [0];
+    content.replace(/\r?\n/g, (lineBreak, offset) => offsets.push(offset + lineBreak.length));
+    return offsets;
+}
+
+/**
+ * Find the 1-based line holding a character.
+ * @param  {Array}  lineOffsets The offsets computed by getLineOffsets
+ * @param  {Number} offset      The character offset
+ * @return {Number} The line number.
+ */
+function getLineOfOffset(lineOffsets, offset) {
+    let line = 1;
+    while (line < lineOffsets.length && lineOffsets[line] <= offset) {
+        line++;
+    }
+    return line;
+}
+
+/**
+ * Apply non-overlapping fixes to a text, the way ESLint does: fixes are applied
+ * in order and the ones overlapping a previous fix are skipped.
+ * @param  {String} text   The text
+ * @param  {Number} start  The offset of the text in the whole content
+ * @param  {Array}  fixes  ESLint fixes, shaped as {range, text}
+ * @return {String} The fixed text.
+ */
+function applyFixes(text, start, fixes) {
+    let fixed = '';
+    let cursor = start;
+
+    fixes
+        .slice()
+        .sort((a, b) => a.range[0] - b.range[0] || a.range[1] - b.range[1])
+        .forEach(({ range, text: replacement }) => {
+            if (range[0] >= cursor) {
+                fixed += text.slice(cursor - start, range[0] - start) + replacement;
+                cursor = range[1];
+            }
+        });
+
+    return fixed + text.slice(cursor - start);
+}
+
+/**
+ * Build a Github suggested change applying the ESLint fixes of the messages of a line.
+ * The suggestion replaces whole lines, from the first line touched by the fixes
+ * to the commented line. Fixes going past the commented line, or touching lines
+ * outside of the diff, can't be suggested.
+ * @param  {String} content   The file content
+ * @param  {Array}  fixes     ESLint fixes, shaped as {range, text}
+ * @param  {Number} line      The commented line
+ * @param  {Object} diffLines The lines of the diff, context lines included, as
+ * computed by getLineMapFromPatchString
+ * @return {Object} The suggestion, shaped as {startLine, body}, or null.
+ */
+function buildSuggestion({ content, fixes, line, diffLines }) {
+    if (fixes.length === 0) {
+        return null;
+    }
+
+    const lineOffsets = getLineOffsets(content);
+    const startLine = Math.min.apply(null, fixes.map(({ range }) => (
+        getLineOfOffset(lineOffsets, range[0])
+    )));
+    // A fix ending right at a line start does not touch that line.
+    const endLine = Math.max.apply(null, fixes.map(({ range }) => (
+        getLineOfOffset(lineOffsets, Math.max(range[1] - 1, range[0]))
+    )));
+
+    if (endLine !== line || startLine > line) {
+        return null;
+    }
+    for (let current = startLine; current <= endLine; current++) {
+        if (!diffLines[current]) {
+            return null;
+        }
+    }
+
+    const start = lineOffsets[startLine - 1];
+    const end = endLine < lineOffsets.length ? lineOffsets[endLine] : content.length;
+    const lines = content.slice(start, end);
+    const fixedLines = applyFixes(lines, start, fixes).replace(/\r?\n$/, '');
+    // e.g. adding the missing final line break does not show in a suggestion.
+    if (fixedLines === lines.replace(/\r?\n$/, '')) {
+        return null;
+    }
+
+    return {
+        startLine,
+        body: `\`\`\`suggestion\n${fixedLines}\n\`\`\``,
+    };
+}
+
+module.exports = {
+    applyFixes,
+    buildSuggestion,
+    getLineOffsets,
+};
@@ -1,207 +1,1648 @@
-const atob = require('atob');
+const crypto = require('crypto');
 const express = require('express');
 const app = express();
 const bodyParser = require('body-parser');
 const GitHubApi = require('github');
 const _ = require('lodash');
-const ESLintCLIEngine = require('eslint').CLIEngine;
+const sendGithubRequest = require('./lib/github-request');
+const createMetricsRegistry = require('./lib/metrics');
+const createLintPool = require('./lib/lint-pool').createLintPool;
+const getAllPages = require('./lib/pagination');
+const createAppAuthenticator = require('./lib/github-auth').createAppAuthenticator;
+const getLineMapFromPatchString = require('./lib/diff-map').getLineMapFromPatchString;
+const buildSuggestion = require('./lib/suggestions').buildSuggestion;
+const commentFormat = require('./lib/comment-format');
+const createConfigLoader = require('./lib/eslint-config').createConfigLoader;
+const repositories = require('./lib/repositories');
+const createJobQueue = require('./lib/job-queue');
+const autofix = require('./lib/autofix');
+const commands = require('./lib/commands');
+const createIgnoredRules = require('./lib/ignored-rules');
+const botConfigs = require('./lib/bot-config');
+const processors = require('./lib/processors');
+const repositoryFiles = require('./lib/repository-files');
+const compareWithBaseline = require('./lib/baseline').compareWithBaseline;
+const lintHistory = require('./lib/lint-history');
+const linters = require('./lib/linters');
+const renderDashboard = require('./lib/dashboard');
 const eslintConfig = require('./target-eslint-config.json');
 
+const getRepositorySettings = repositories.createSettingsLookup(
+    repositories.readRepositorySettings(process.env)
+);
+
+const env = (name) => process.env[name];
+
+// Metrics, served in the Prometheus text format on /metrics
+const metrics = createMetricsRegistry();
+const webhooksReceived = metrics.counter(
+    'eslint_bot_webhooks_total',
+    'Webhooks received, by event and action'
+);
+const lintDuration = metrics.histogram(
+    'eslint_bot_lint_duration_seconds',
+    'Time spent linting a file'
+);
+const githubCalls = metrics.counter(
+    'eslint_bot_github_requests_total',
+    'Github API requests, by endpoint'
+);
+const githubErrors = metrics.counter(
+    'eslint_bot_github_errors_total',
+    'Failed Github API requests, by endpoint and status'
+);
+const rateLimitRemaining = metrics.gauge(
+    'eslint_bot_github_rate_limit_remaining',
+    'Github API requests left before the rate limit resets, as of the last response'
+);
+const commentsPosted = metrics.counter(
+    'eslint_bot_comments_posted_total',
+    'Review comments posted, by repository'
+);
+
+function updateRateLimit(headers) {
+    const remaining = headers && headers['x-ratelimit-remaining'];
+    if (remaining !== undefined) {
+        rateLimitRemaining.set({}, Number(remaining));
+    }
+}
+
+/**
+ * Count a Github API request, and its failure.
+ * @param  {String}  endpoint The endpoint, e.g. 'pullRequests.getFiles'
+ * @param  {Promise} request  The promise of the response
+ * @return {Promise} The promise of the response.
+ */
+function trackGithubRequest(endpoint, request) {
+    githubCalls.inc({ endpoint });
+    return request.then((result) => {
+        updateRateLimit(result && result.meta);
+        return result;
+    }, (error) => {
+        githubErrors.inc({ endpoint, status: error.code || 'unknown' });
+        updateRateLimit(error.headers);
+        throw error;
+    });
+}
+
+function githubRequest(github, options) {
+    // Owners, names and numbers are left out of the endpoint, to keep the number of series low.
+    const endpoint = `${options.method || 'GET'} ${options.path
+        .replace(/^\/repos\/[^/]+\/[^/]+/, '/repos/:owner/:repo')
+        .replace(/\/\d+(?=\/|$)/g, '/:id')}`;
+    return trackGithubRequest(endpoint, sendGithubRequest(github, options));
+}
+
 // Github configuration
-const github = new GitHubApi({
-    version: '3.0.0',
-    headers: {
-        'user-agent': 'esLint-bot', // GitHub is happy with a unique user agent
-    },
-    Promise: global.Promise,
+function createGithubClient(token) {
+    const github = new GitHubApi({
+        version: '3.0.0',
+        headers: {
+            'user-agent': 'esLint-bot', // GitHub is happy with a unique user agent
+        },
+        Promise: global.Promise,
+    });
+    github.authenticate({ type: 'token', token });
+
+    // Track the calls of the API namespaces, e.g. `github.pullRequests.getFiles`.
+    Object.keys(github)
+        .filter((key) => key !== 'config' && _.isPlainObject(github[key])
+            && _.some(github[key], _.isFunction))
+        .forEach((namespace) => {
+            const api = github[namespace];
+            Object.keys(api).forEach((name) => {
+                const call = api[name];
+                api[name] = (params) => trackGithubRequest(`${namespace}.${name}`, call(params));
+            });
+        });
+    return github;
+}
+
+// Env vars can't hold line breaks on every platform, so escaped ones are accepted in the PEM.
+const appAuthenticator = env('GITHUB_APP_ID') && createAppAuthenticator({
+    appId: env('GITHUB_APP_ID'),
+    privateKey: (env('GITHUB_PRIVATE_KEY') || '').replace(/\\n/g, '\n'),
+    request: githubRequest,
 });
 
+// Why the bot can't handle webhooks yet, or null once it can.
+let notReadyReason = 'Starting';
 
-// Eslint configuration
-const eslint = new ESLintCLIEngine(eslintConfig);
+// The login of the bot, used to find its own comments. It is resolved at startup.
+let botLogin;
 
-const env = (name) => process.env[name];
+// ESLint runs in child processes, see lib/lint-pool.js
+const lintPool = createLintPool({
+    size: Number(env('LINT_WORKERS')) || 2,
+    timeout: Number(env('LINT_TIMEOUT')) || 30000,
+    maxMemory: Number(env('LINT_MAX_MEMORY')) || 512,
+    uid: env('LINT_UID') ? Number(env('LINT_UID')) : undefined,
+    gid: env('LINT_GID') ? Number(env('LINT_GID')) : undefined,
+});
+
+// File contents by blob sha, shared by the runs so that unchanged files are fetched once
+const blobCache = repositoryFiles.createBlobCache(Number(env('BLOB_CACHE_SIZE')) || 50000000);
+
+// Rules ignored with `/eslint ignore <rule>`, per pull request
+const ignoredRules = createIgnoredRules(env('IGNORED_RULES_FILE') || 'data/ignored-rules.json');
 
-function filterJavascriptFiles(files) {
-    return files.filter(({ filename }) => filename.match(env('FILE_FILTER')));
+// The lint runs of each repository, shown on their dashboard. The history is only
+// created when running the server, so that the replays of the CLI don't record runs.
+let history = null;
+const createHistory = () => lintHistory.createLintHistory(
+    env('LINT_HISTORY_FILE') || 'data/lint-history.json',
+    Number(env('LINT_HISTORY_SIZE')) || 1000
+);
+
+/**
+ * Get a Github client for a webhook payload. As a Github App, the client is
+ * authenticated for the installation which sent the payload, otherwise with the
+ * GITHUB_TOKEN personal access token.
+ * @param  {Object} payload The webhook payload
+ * @return {Promise} A promise of the authenticated client.
+ */
+function getGithubClient(payload) {
+    if (appAuthenticator) {
+        return appAuthenticator.getInstallationToken(payload.installation.id)
+            .then(createGithubClient);
+    }
+    return Promise.resolve(createGithubClient(env('GITHUB_TOKEN')));
+}
+
+function getBotLogin() {
+    if (appAuthenticator) {
+        return appAuthenticator.getApp().then(({ slug }) => `${slug}[bot]`);
+    }
+    return createGithubClient(env('GITHUB_TOKEN')).users.get({}).then(({ login }) => login);
+}
+
+function filterLintedFiles(files, fileFilter, botConfig) {
+    const getLinters = botConfigs.createLinterMatcher(botConfig, fileFilter || env('FILE_FILTER'));
+    // Removed files have nothing left to lint.
+    return files.filter(({ filename, status }) => (
+        status !== 'removed' && getLinters(filename).length > 0
+    ));
 }
 
 /**
- * Compute a mapping object for the relationship:
- * 'file line number' <-> 'Github's diff view line number'.
- * This is necessary for the comments, as Github API asks to specify the line
- * number in the diff view to attach an inline comment to.
- * If a file line is not modified, then it will not appear in the diff view,
- * so it is not taken into account here.
- * The linter will therefore only mention warnings for modified lines.
- * @param  {String}   patchString               The git patch string.
- * @return {Object} An object shaped as follows : {'file line number': 'diff view line number'}.
+ * Get the files of a pull request. Github lists up to 3000 files, 100 per page.
+ * @param  {Object} repository The repository, shaped as {user, repo, github}
+ * @param  {Number} prNumber   Pull request number
+ * @return {Promise} A promise of an array of files.
  */
-function getLineMapFromPatchString(patchString) {
-    let diffLineIndex = 0;
-    let fileLineIndex = 0;
-    return patchString.split('\n').reduce((lineMap, line) => {
-        if (line.match(/^@@.*/)) {
-            fileLineIndex = line.match(/\+[0-9]+/)[0].slice(1) - 1;
-        } else {
-            diffLineIndex++;
-            if (line[0] !== '-') {
-                fileLineIndex++;
-                if (line[0] === '+') {
-                    lineMap[fileLineIndex] = diffLineIndex; // eslint-disable-line no-param-reassign
-                }
-            }
+function getPullRequestFiles(repository, prNumber) {
+    return getAllPages(repository.github, repository.github.pullRequests.getFiles({
+        user: repository.user,
+        repo: repository.repo,
+        number: prNumber,
+        per_page: 100,
+    }));
+}
+
+const FIXED_NOTE = ':white_check_mark: Fixed in';
+
+/**
+ * Build the key identifying an inline comment by its path, position and rule ids.
+ * It is used to avoid posting the same message twice on the same line, and to
+ * find the comments which no longer apply.
+ * @param  {String} path     File path
+ * @param  {Number} position Diff view line number
+ * @param  {String} body     Comment body
+ * @return {String} The comment key.
+ */
+function commentKey(path, position, body) {
+    return `${path}:${position}:${commentFormat.getRuleIds(body).join(',')}`;
+}
+
+/**
+ * Get the diff view line number to comment a lint error at. Parsing errors stop
+ * the whole file from being linted, so they are commented on the first line of
+ * the diff when their line isn't in it.
+ * @param  {Object} lineMap   The map between file and diff view line numbers
+ * @param  {Object} lintError Lint error, as grouped by groupLintErrorsByLine
+ * @return {Number} The diff view line number, or undefined.
+ */
+function getCommentPosition(lineMap, lintError) {
+    if (lineMap[lintError.line] || !lintError.messages.some(commentFormat.isParsingError)) {
+        return lineMap[lintError.line];
+    }
+    return 1;
+}
+
+/**
+ * Fetch the comments the bot already posted on a pull request.
+ * Outdated comments have a null position and comments already marked as fixed
+ * are ignored.
+ * @param  {Object} repository The repository, shaped as {user, repo, github}
+ * @param  {Number} prNumber   Pull request number
+ * @return {Promise} A promise of an array of comments.
+ */
+function getBotComments(repository, prNumber) {
+    return getAllPages(repository.github, repository.github.pullRequests.getComments({
+        user: repository.user,
+        repo: repository.repo,
+        number: prNumber,
+        per_page: 100,
+    })).then((comments) => comments.filter(({ user, position, body }) => (
+        user.login === botLogin && position && body.indexOf(FIXED_NOTE) === -1
+    )));
+}
+
+/**
+ * Delete the bot comments of a file which no longer match a lint error, or mark
+ * them as fixed when STALE_COMMENTS is not set to 'delete'.
+ * @param  {String} filename     File filename
+ * @param  {Object} lineMap      The map between file and diff view line numbers
+ * @param  {Object} errorsByLine Lint errors grouped by line
+ * @param  {Array}  botComments  Comments previously posted by the bot
+ * @param  {String} sha          Commit's id
+ * @param  {Object} repository   The repository, shaped as {user, repo, github}
+ * @param  {Array}  ignored      Ids of the rules ignored in this pull request, whose
+ * comments are left untouched
+ * @return {Promise} A promise resolved once every stale comment is handled.
+ */
+function reconcileComments({
+    filename,
+    lineMap,
+    errorsByLine,
+    botComments,
+    sha,
+    repository,
+    ignored,
+}) {
+    const currentKeys = Object.keys(errorsByLine).map((key) => {
+        const lintError = errorsByLine[key];
+        return commentKey(filename, getCommentPosition(lineMap, lintError), lintError.message);
+    });
+    const staleComments = botComments.filter(({ path, position, body }) => (
+        path === filename
+        && currentKeys.indexOf(commentKey(path, position, body)) === -1
+        && !commentFormat.getRuleIds(body).every((ruleId) => ignored.indexOf(ruleId) !== -1)
+    ));
+
+    return Promise.all(staleComments.map(({ id, body }) => {
+        if (env('STALE_COMMENTS') === 'delete') {
+            return repository.github.pullRequests.deleteComment({
+                user: repository.user,
+                repo: repository.repo,
+                number: id,
+            });
         }
-        return lineMap;
-    }, {});
+        return repository.github.pullRequests.editComment({
+            user: repository.user,
+            repo: repository.repo,
+            number: id,
+            body: `${body}\n\n${FIXED_NOTE} ${sha.slice(0, 7)}`,
+        });
+    }));
+}
+
+/**
+ * Get the names of the files changed between two commits.
+ * When the previous head cannot be compared (e.g. after a force push), null is
+ * returned so that every file of the pull request gets linted again.
+ * @param  {Object} repository The repository, shaped as {user, repo, github}
+ * @param  {String} base       Previous head sha
+ * @param  {String} head       New head sha
+ * @return {Promise} A promise of an array of filenames, or null.
+ */
+function getChangedFilenames(repository, base, head) {
+    return repository.github.repos.compareCommits({
+        user: repository.user,
+        repo: repository.repo,
+        base,
+        head,
+    }).then(({ files }) => files.map(({ filename }) => filename), () => null);
 }
 
 /**
- * Send a comment to Github's commit view
+ * Build the inline review comment for a lint error. When ESLint can fix it, the
+ * comment suggests the fixed lines.
  * @param  {String} filename File filename
+ * @param  {String} content  File content
  * @param  {Object} lineMap  The map between file and diff view line numbers
+ * @param  {Object} diffLines The lines of the diff, context lines included
  * @param  {Object} lintError  Lint error
- * @param  {String} sha      Commit's id
- * @param  {Number} prNumber   Pull request number
+ * @param  {Set} postedComments Keys of the comments already posted on the PR
+ * @return {Object} The review comment, or null if it should not be posted.
  */
-function sendSingleComment({ filename, lineMap, lintError, sha, prNumber }) {
-    const { message, line } = lintError;
-    const diffLinePosition = lineMap[line];
+function buildComment({ filename, content, lineMap, diffLines, lintError, postedComments }) {
+    const { message, line, fixes } = lintError;
+    const diffLinePosition = getCommentPosition(lineMap, lintError);
     // By testing this, we skip the linting messages related to non-modified lines.
-    if (diffLinePosition) {
-        // return console.log('Lint error on line:', diffLinePosition, message);
-        return github.pullRequests.createComment({
-            user: env('REPOSITORY_OWNER'),
-            repo: env('REPOSITORY_NAME'),
-            number: prNumber,
-            body: message,
-            commit_id: sha,
-            path: filename,
-            position: diffLinePosition,
-        });
+    if (!diffLinePosition || postedComments.has(commentKey(filename, diffLinePosition, message))) {
+        return null;
     }
 
-    return null;
+    const suggestion = buildSuggestion({ content, fixes, line, diffLines });
+    if (!suggestion) {
+        return { path: filename, position: diffLinePosition, body: message };
+    }
+    const body = `${message}\n\n${suggestion.body}`;
+    if (suggestion.startLine === line) {
+        return { path: filename, position: diffLinePosition, body };
+    }
+    // Suggestions spanning several lines need a line range instead of a position.
+    return { path: filename, start_line: suggestion.startLine, line, side: 'RIGHT', body };
 }
 
-function groupLintErrorsByLine(lintErrors) {
-    return lintErrors.reduce((acc, lintError) => {
-        const { ruleId = 'Eslint', message, line } = lintError;
+/**
+ * Count the errors and warnings found in each file.
+ * @param  {Array} lintResults Objects shaped as {file, messages}
+ * @return {Array} Objects shaped as {filename, errors, warnings}, for files with problems.
+ */
+function countProblems(lintResults) {
+    return lintResults.map(({ file, messages }) => ({
+        filename: file.filename,
+        errors: messages.filter(({ severity }) => severity === 2).length,
+        warnings: messages.filter(({ severity }) => severity !== 2).length,
+    })).filter(({ errors, warnings }) => errors + warnings > 0);
+}
+
+function pluralize(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Build the body of the review, summing up the problems found in each file.
+ * @param  {Array} problemCounts Objects shaped as {filename, errors, warnings}
+ * @return {String} The review body.
+ */
+function buildReviewSummary(problemCounts) {
+    const errors = _.sum(problemCounts, 'errors');
+    const warnings = _.sum(problemCounts, 'warnings');
+    const fileLines = problemCounts.map((count) => (
+        `* \`${count.filename}\`: ${pluralize(count.errors, 'error')}, `
+        + `${pluralize(count.warnings, 'warning')}`
+    ));
+
+    return [`ESLint found ${pluralize(errors, 'error')} and ${pluralize(warnings, 'warning')}:`]
+        .concat(fileLines)
+        .join('\n');
+}
+
+/**
+ * Submit all the comments of a lint run as a single pull request review.
+ * Changes are requested when at least one error (severity 2) was found.
+ * @param  {Object} repository  The repository, shaped as {user, repo, github}
+ * @param  {Number} prNumber    Pull request number
+ * @param  {String} sha         Commit's id
+ * @param  {Array}  comments    The review comments
+ * @param  {Array}  lintResults Objects shaped as {file, messages}
+ * @return {Promise} A promise of the created review.
+ */
+function sendReview({ repository, prNumber, sha, comments, lintResults, notes }) {
+    const problemCounts = countProblems(lintResults);
+
+    return githubRequest(repository.github, {
+        method: 'POST',
+        path: `/repos/${repository.user}/${repository.repo}/pulls/${prNumber}/reviews`,
+        data: {
+            commit_id: sha,
+            body: [buildReviewSummary(problemCounts)].concat(notes).join('\n\n'),
+            event: _.sum(problemCounts, 'errors') > 0 ? 'REQUEST_CHANGES' : 'COMMENT',
+            comments,
+        },
+    }).then((review) => {
+        const fullName = `${repository.user}/${repository.repo}`;
+        commentsPosted.inc({ repository: fullName }, comments.length);
+        return review;
+    });
+}
+
+/**
+ * Dismiss the reviews of the bot requesting changes on a pull request, so that
+ * the errors they were about no longer block it once fixed.
+ * @param  {Object} repository The repository, shaped as {user, repo, github}
+ * @param  {Number} prNumber   Pull request number
+ * @return {Promise} A promise resolved once every review is dismissed.
+ */
+function dismissChangeRequests(repository, prNumber) {
+    const reviewsPath = `/repos/${repository.user}/${repository.repo}/pulls/${prNumber}/reviews`;
+    return githubRequest(repository.github, {
+        path: `${reviewsPath}?per_page=100`,
+    }).then((reviews) => Promise.all(reviews
+        .filter(({ user, state }) => user.login === botLogin && state === 'CHANGES_REQUESTED')
+        .map(({ id }) => githubRequest(repository.github, {
+            method: 'PUT',
+            path: `${reviewsPath}/${id}/dismissals`,
+            data: { message: 'ESLint no longer finds any error.' },
+        }))
+    ));
+}
+
+/**
+ * Group the lint errors of a file by line, with the body of the comment about each line.
+ * @param  {Array}  lintErrors The ESLint messages
+ * @param  {String} content    The file content
+ * @param  {Object} template   The comment templates of the repository
+ * @return {Object} The errors, keyed by line and shaped as {line, messages, message, fixes}.
+ */
+function groupLintErrorsByLine(lintErrors, content, template) {
+    const sourceLines = content.split(/\r?\n/);
+    const errorsByLine = lintErrors.reduce((acc, lintError) => {
+        const { line } = lintError;
         const key = '.' + line; // eslint-disable-line prefer-template
 
         if (!acc[key]) {
-            acc[key] = { line, message: '' }; // eslint-disable-line no-param-reassign
+            acc[key] = { line, messages: [], fixes: [] }; // eslint-disable-line no-param-reassign
+        }
+        acc[key].messages.push(lintError);
+        if (lintError.fix) {
+            acc[key].fixes.push(lintError.fix);
         }
-
-        acc[key].message = [acc[key].message]  // eslint-disable-line no-param-reassign
-            .concat(`**${ruleId}**: ${message}`)
-            .join('\n');
 
         return acc;
     }, {});
+    Object.keys(errorsByLine).forEach((key) => {
+        const { line, messages } = errorsByLine[key];
+        const sourceLine = sourceLines[line - 1];
+        errorsByLine[key].message = commentFormat.formatComment(messages, sourceLine, template);
+    });
+    return errorsByLine;
 }
 
-function lintContent(content) {
-    return _.get(eslint.executeOnText(content), 'results[0].messages');
+function lintContent(engine, content, filename) {
+    return engine.lint(content, filename).then(({ messages }) => messages);
 }
 
-function getContent(file, ref) {
-    const { filename } = file;
+// The lints given up on, with the reason shown on the pull request. The linters tell
+// what they miss, or what is wrong with the configuration of the repository.
+const SKIPPED_LINTS = {
+    LINT_TIMEOUT: () => 'timeout',
+    LINT_CRASHED: () => 'crashed, e.g. out of memory',
+    LINT_UNAVAILABLE: (error) => error.message,
+    LINT_CONFIG_INVALID: (error) => error.message,
+};
 
-    return github.repos.getContent({
-        user: env('REPOSITORY_OWNER'),
-        repo: env('REPOSITORY_NAME'),
-        path: filename,
-        ref,
-    }).then((data) => atob(data.content));
-}
+/**
+ * Create a loader for the engines to lint files with, running every linter
+ * picked for a file. ESLint is configured by the configuration files committed
+ * in the repository at the given commit, or the bundled configuration when the
+ * repository does not configure ESLint. The other linters are configured at the
+ * root of the repository, and stylelint only runs when it is configured there.
+ * @param  {Object} fileReader The reader of the repository files at the commit
+ * @param  {Object} settings   The repository settings
+ * @param  {Object} botConfig  The `.eslint-bot.yml` configuration
+ * @return {Function} A function taking a filename, and optionally additional engine
+ * options such as {fix: true}, and returning a promise of an engine. The engine
+ * `lint` method takes a content and a filename, and returns a promise of the lint
+ * result, shaped as {messages, output}, rejected with a `LINT_CONFIG_INVALID` error
+ * code when the configuration of a linter can't be used.
+ */
+function createEngineLoader(fileReader, settings, botConfig) {
+    const readFile = (filename) => fileReader.readFile(filename);
+    const getConfig = createConfigLoader({ listDirectory: fileReader.listDirectory, readFile });
+    const getLinters = botConfigs.createLinterMatcher(
+        botConfig,
+        settings.fileFilter || env('FILE_FILTER')
+    );
+    const linterConfigs = {};
 
-function treatPayload(payload) {
-    const { number, pull_request } = payload;
+    const getEslintOptions = (filename, engineOptions) => getConfig(filename).then((configs) => {
+        const parser = processors.getParser(filename, botConfig.parsers);
+        // They are cascaded in the lint pool, where the configurations they extend are loaded.
+        return Object.assign({
+            configs: (configs || [eslintConfig]).concat(
+                settings.eslintConfig || [],
+                parser ? { parser } : []
+            ),
+        }, engineOptions);
+    });
+    const getOptions = (linter, filename, engineOptions) => {
+        if (linter === 'eslint') {
+            return getEslintOptions(filename, engineOptions);
+        }
+        if (!linterConfigs[linter]) {
+            linterConfigs[linter] = linters.loadLinterConfig(linter, readFile);
+        }
+        return linterConfigs[linter].then((config) => (
+            config || !linters.ADAPTERS[linter].requiresConfig
+                ? Object.assign({ config }, engineOptions)
+                : null
+        ));
+    };
+
+    return (filename, engineOptions) => Promise.all(getLinters(filename).map((linter) => (
+        getOptions(linter, filename, engineOptions).then(
+            (options) => options && { linter, options },
+            // The lints of the files whose configuration is invalid are skipped.
+            (error) => {
+                if (error.code !== 'LINT_CONFIG_INVALID') {
+                    throw error;
+                }
+                return { linter, error };
+            }
+        )
+    ))).then((runs) => ({
+        // The linters run one after the other, each on the content the previous one fixed.
+        // The lint pool children keep the engines of the options they are given.
+        lint: (content, name) => runs.filter(Boolean).reduce((previous, run) => (
+            previous.then((result) => {
+                if (run.error) {
+                    throw run.error;
+                }
+                return lintPool.lint(
+                    run.options,
+                    result.output === undefined ? content : result.output,
+                    name,
+                    run.linter
+                ).then(({ messages, output }) => ({
+                    messages: result.messages.concat(messages),
+                    output: output === undefined ? result.output : output,
+                }));
+            })
+        ), Promise.resolve({ messages: [], output: undefined })),
+    }));
+}
 
-    return github.pullRequests.getFiles({
-        user: env('REPOSITORY_OWNER'),
-        repo: env('REPOSITORY_NAME'),
+function replyOnPullRequest(repository, number, body) {
+    return repository.github.issues.createComment({
+        user: repository.user,
+        repo: repository.repo,
         number,
-    }).then((files) => {
-        const jsFiles = filterJavascriptFiles(files);
-        jsFiles.forEach((file) => {
-            function sendComments(errorsByLine) {
-                console.time(`Commented on ${file.filename}`);
-                const sentComments = Object.keys(errorsByLine).map((line) => (
-                    sendSingleComment({
-                        filename: file.filename,
-                        lineMap: getLineMapFromPatchString(file.patch),
-                        lintError: errorsByLine[line],
-                        sha: pull_request.head.sha,
+        body,
+    });
+}
+
+/**
+ * Post comments one after the other, as Github rejects bursts of comments.
+ * @param  {Object}   repository The repository, shaped as {user, repo, github}
+ * @param  {Array}    comments   The comments
+ * @param  {Function} post       Takes a comment and returns a promise of its posting
+ * @return {Promise} A promise resolved once every comment is posted.
+ */
+function postSequentially(repository, comments, post) {
+    return comments.reduce((previous, comment) => previous.then(() => post(comment)).then(() => {
+        commentsPosted.inc({ repository: `${repository.user}/${repository.repo}` });
+    }), Promise.resolve());
+}
+
+/**
+ * Post each comment on its own, for repositories which prefer them to a review.
+ * @param  {Object} repository The repository
+ * @param  {Number} prNumber   The pull request number
+ * @param  {String} sha        The commit the comments are made on
+ * @param  {Array}  comments   The review comments
+ * @return {Promise} A promise resolved once every comment is posted.
+ */
+function sendSingleComments(repository, prNumber, sha, comments) {
+    return postSequentially(repository, comments, (comment) => githubRequest(repository.github, {
+        method: 'POST',
+        path: `/repos/${repository.user}/${repository.repo}/pulls/${prNumber}/comments`,
+        data: Object.assign({ commit_id: sha }, comment),
+    }));
+}
+
+function formatProblems(title, problems) {
+    return [title].concat(problems.map(({ filename, line, messages }) => (
+        `* \`${filename}\` line ${line}: ${messages.map(commentFormat.formatInline).join(', ')}`
+    ))).join('\n');
+}
+
+/**
+ * Post the comments for the lint results of a pull request as a single review,
+ * and reconcile the comments posted by previous runs.
+ * @param  {Object} repository  The repository, shaped as {user, repo, github}
+ * @param  {Number} prNumber    Pull request number
+ * @param  {String} sha         Commit's id
+ * @param  {Array}  lintResults Objects shaped as {file, content, messages}
+ * @param  {Array}  botComments Comments previously posted by the bot
+ * @param  {Array}  ignored     Ids of the rules ignored in this pull request
+ * @return {Promise} A promise resolved once everything is sent.
+ */
+function sendComments(options) {
+    const { repository, prNumber, sha, lintResults, botComments, ignored, botConfig } = options;
+    const postedComments = new Set(botComments.map(({ path, position, body }) => (
+        commentKey(path, position, body)
+    )));
+    const comments = [];
+    const outsideDiff = [];
+    const withoutPatch = [];
+    const reconciliations = lintResults.map(({ file, content, messages, skipped }) => {
+        const { filename } = file;
+        // Without messages to compare with, the comments of skipped files are left as they are.
+        if (skipped) {
+            return null;
+        }
+        if (!file.patch) {
+            // Github leaves out the patch of too large diffs, and of renamed files left unchanged.
+            if (file.status !== 'renamed' || file.changes > 0) {
+                const errorsByLine = groupLintErrorsByLine(messages, content, botConfig.template);
+                Object.keys(errorsByLine).forEach((line) => {
+                    withoutPatch.push(Object.assign({ filename }, errorsByLine[line]));
+                });
+            }
+            return null;
+        }
+        const lineMap = getLineMapFromPatchString(file.patch, {
+            contextLines: env('CONTEXT_LINES') === 'true' || botConfig.scope === 'files',
+        });
+        const diffLines = getLineMapFromPatchString(file.patch, { contextLines: true });
+        const errorsByLine = groupLintErrorsByLine(messages, content, botConfig.template);
+
+        Object.keys(errorsByLine).forEach((line) => {
+            const lintError = errorsByLine[line];
+            if (!getCommentPosition(lineMap, lintError) && botConfig.scope === 'files') {
+                outsideDiff.push(Object.assign({ filename }, lintError));
+            }
+            const comment = buildComment({
+                filename,
+                content,
+                lineMap,
+                diffLines,
+                lintError,
+                postedComments,
+            });
+            if (comment) {
+                comments.push(comment);
+            }
+        });
+
+        return reconcileComments({
+            filename,
+            lineMap,
+            errorsByLine,
+            botComments,
+            sha,
+            repository,
+            ignored,
+        });
+    });
+
+    // The comments already on the pull request count toward the limit.
+    const allowed = botConfig.maxComments === null
+        ? comments.length
+        : Math.max(0, botConfig.maxComments - botComments.length);
+    const notes = [];
+    if (comments.length > allowed) {
+        notes.push(`${pluralize(comments.length - allowed, 'more problem')} not commented, `
+            + `as this pull request reached the limit of ${botConfig.maxComments} comments.`);
+    }
+    if (outsideDiff.length > 0) {
+        notes.push(formatProblems('Problems outside of the diff:', outsideDiff));
+    }
+    if (withoutPatch.length > 0) {
+        notes.push(formatProblems('Problems in diffs too large to be commented:', withoutPatch));
+    }
+    const skippedResults = lintResults.filter(({ skipped }) => skipped);
+    if (skippedResults.length > 0) {
+        notes.push(['Files not linted:'].concat(skippedResults.map(({ file, skipped }) => (
+            `* \`${file.filename}\`: lint skipped (${skipped})`
+        ))).join('\n'));
+    }
+    const sentComments = comments.slice(0, allowed);
+    const suppressed = _.sum(lintResults, 'suppressed');
+    const fixed = _.sum(lintResults, 'fixed');
+    // Only worth saying along with something new, or every push would repeat it.
+    if ((sentComments.length > 0 || notes.length > 0) && (suppressed > 0 || fixed > 0)) {
+        notes.push(`Compared with the base branch: ${pluralize(suppressed, 'pre-existing problem')}`
+            + ` not reported, ${pluralize(fixed, 'problem')} fixed by this pull request.`);
+    }
+
+    let sent = null;
+    if (botConfig.mode === 'comments') {
+        sent = sendSingleComments(repository, prNumber, sha, sentComments).then(() => (
+            notes.length > 0 ? replyOnPullRequest(repository, prNumber, notes.join('\n\n')) : null
+        ));
+    } else if (sentComments.length > 0 || notes.length > 0) {
+        // Nothing new to say: don't bother the reviewers with another review.
+        sent = sendReview({
+            repository,
+            prNumber,
+            sha,
+            comments: sentComments,
+            lintResults,
+            notes,
+        });
+    }
+
+    return Promise.all(reconciliations.concat(sent));
+}
+
+/**
+ * Set the ESLint commit status of a sha.
+ * @param  {Object} repository  The repository, shaped as {user, repo, github}
+ * @param  {String} sha         Commit's id
+ * @param  {String} state       One of pending, success, failure or error
+ * @param  {String} description Short description of the status
+ * @return {Promise} A promise of the created status.
+ */
+function setStatus(repository, sha, state, description) {
+    return repository.github.repos.createStatus({
+        user: repository.user,
+        repo: repository.repo,
+        sha,
+        state,
+        description,
+        context: 'ESLint',
+    });
+}
+
+/**
+ * Set the final commit status for the lint results of a pull request.
+ * Warnings alone only fail the status when FAIL_ON_WARNINGS is set to 'true'.
+ * @param  {Object} repository  The repository, shaped as {user, repo, github}
+ * @param  {String} sha         Commit's id
+ * @param  {Array}  lintResults Objects shaped as {file, messages}
+ * @return {Promise} A promise of the created status.
+ */
+function sendStatus(repository, sha, lintResults) {
+    const problemCounts = countProblems(lintResults);
+    const errors = _.sum(problemCounts, 'errors');
+    const warnings = _.sum(problemCounts, 'warnings');
+    const failed = errors > 0 || (warnings > 0 && env('FAIL_ON_WARNINGS') === 'true');
+    const description = problemCounts.length > 0
+        ? `${pluralize(errors, 'error')}, ${pluralize(warnings, 'warning')} `
+            + `in ${pluralize(problemCounts.length, 'file')}`
+        : 'No problems found';
+    const skipped = lintResults.filter((lintResult) => lintResult.skipped).length;
+
+    return setStatus(
+        repository,
+        sha,
+        failed ? 'failure' : 'success',
+        skipped > 0 ? `${description}, ${pluralize(skipped, 'file')} not linted` : description
+    );
+}
+
+const isBinary = (content) => content.indexOf('\u0000') !== -1;
+
+/**
+ * Lint the content of files at a given commit. With a reader of the base
+ * commit, the base version of the files is linted too, with the same configuration.
+ * @param  {Object} fileReader The reader of the repository files at the commit
+ * @param  {Array}  files      Pull request files
+ * @param  {Object} settings   The repository settings
+ * @param  {Object} botConfig  The `.eslint-bot.yml` configuration
+ * @param  {Object} baseReader The optional reader of the files at the base commit
+ * @return {Promise} A promise of an array of objects shaped as {file, content, messages},
+ * and {baseContent, baseMessages} for the files existing at the base commit.
+ */
+function lintFiles(fileReader, files, settings, botConfig, baseReader) {
+    const getEngine = createEngineLoader(fileReader, settings, botConfig);
+    const readBaseContent = (file) => {
+        if (!baseReader || file.status === 'added') {
+            return null;
+        }
+        return baseReader.readFile(file.previous_filename || file.filename).catch((error) => {
+            if (error.code === 404) {
+                return null;
+            }
+            throw error;
+        });
+    };
+
+    return Promise.all(files.map((file) => (
+        Promise.all([
+            getEngine(file.filename),
+            fileReader.readFile(file.filename, file.sha),
+            readBaseContent(file),
+        ]).then(([engine, content, baseContent]) => {
+            // Binary files, which no filter is perfect at leaving out, can't be linted.
+            if (isBinary(content)) {
+                return null;
+            }
+            const start = process.hrtime();
+            return lintContent(engine, content, file.filename).then((messages) => {
+                const duration = process.hrtime(start);
+                lintDuration.observe({}, duration[0] + (duration[1] / 1e9));
+
+                const result = { file, content, messages };
+                if (baseContent === null || isBinary(baseContent)) {
+                    return result;
+                }
+                // Without a linted base version, every message of the file counts as new.
+                return lintContent(engine, baseContent, file.filename).then((baseMessages) => (
+                    Object.assign(result, { baseContent, baseMessages })
+                ), () => result);
+            }, (error) => {
+                if (!SKIPPED_LINTS[error.code]) {
+                    throw error;
+                }
+                return { file, content, messages: [], skipped: SKIPPED_LINTS[error.code](error) };
+            });
+        })
+    ))).then((results) => results.filter(Boolean));
+}
+
+/**
+ * Drop the messages of the ignored rules from lint results.
+ * @param  {Array} lintResults Objects shaped as {file, content, messages}
+ * @param  {Array} ignored     Ids of the ignored rules
+ * @return {Array} The filtered lint results.
+ */
+function ignoreRules(lintResults, ignored, botConfig) {
+    const isShown = (message) => (
+        ignored.indexOf(message.ruleId) === -1 && botConfigs.isReported(botConfig, message)
+    );
+    return lintResults.map((lintResult) => Object.assign({}, lintResult, {
+        messages: lintResult.messages.filter(isShown),
+    }, lintResult.baseMessages ? { baseMessages: lintResult.baseMessages.filter(isShown) } : {}));
+}
+
+/**
+ * Keep only the messages a pull request introduced, for the files linted at
+ * the base commit too.
+ * @param  {Array} lintResults The results of lintFiles
+ * @return {Array} The results, with the counts of the `suppressed` pre-existing
+ * messages and of the `fixed` ones.
+ */
+function applyBaseline(lintResults) {
+    return lintResults.map((lintResult) => {
+        if (!lintResult.baseMessages) {
+            return lintResult;
+        }
+        const comparison = compareWithBaseline(
+            { content: lintResult.baseContent, messages: lintResult.baseMessages },
+            lintResult
+        );
+        return Object.assign({}, lintResult, {
+            messages: comparison.newMessages,
+            suppressed: comparison.suppressed,
+            fixed: comparison.fixed,
+        });
+    });
+}
+
+/**
+ * Record a lint run in the history of its repository, when the server keeps one.
+ * The history only feeds the dashboard, so failing to record a run doesn't fail it.
+ * @param  {Object} repository      The repository, shaped as {user, repo, github}
+ * @param  {Object} run             The run, shaped as {pullRequest, sha, author}
+ * @param  {Array}  lintResults     The lint results, with every problem of the files
+ * @param  {Array}  baselineResults The results of applyBaseline, when it was applied
+ */
+function recordLintRun(repository, run, lintResults, baselineResults) {
+    if (!history) {
+        return;
+    }
+    try {
+        const problemCounts = lintHistory.countProblemsByRule(lintResults);
+        // Without the base version of the files, the problems introduced can't be told apart.
+        const isCompared = Boolean(baselineResults)
+            && baselineResults.some(({ baseMessages }) => baseMessages);
+        history.record(`${repository.user}/${repository.repo}`, Object.assign({
+            date: new Date().toISOString(),
+        }, run, problemCounts, {
+            introduced: isCompared
+                ? _.sum(baselineResults, ({ messages }) => messages.length)
+                : null,
+            fixed: isCompared ? _.sum(baselineResults, 'fixed') : null,
+        }));
+    } catch (error) {
+        /* eslint-disable no-console */
+        console.log(`Could not record the lint run of ${repository.user}/${repository.repo}:`,
+            error.message);
+        /* eslint-enable no-console */
+    }
+}
+
+function formatInvalidBotConfig(error) {
+    return `:warning: The \`${botConfigs.CONFIG_FILE}\` file is invalid, `
+        + `the default settings are used instead.\n\n${error.message}`;
+}
+
+function reportInvalidBotConfig(repository, prNumber, error) {
+    const body = formatInvalidBotConfig(error);
+
+    return getAllPages(repository.github, repository.github.issues.getComments({
+        user: repository.user,
+        repo: repository.repo,
+        number: prNumber,
+        per_page: 100,
+    })).then((comments) => {
+        // Pushing again without fixing the file shouldn't repeat the warning.
+        const reported = comments.some((comment) => (
+            comment.user.login === botLogin && comment.body === body
+        ));
+        return reported ? null : replyOnPullRequest(repository, prNumber, body);
+    });
+}
+
+/**
+ * Load the `.eslint-bot.yml` file of a repository. An invalid file is reported
+ * and the default settings are used, so that a typo never stops the linting.
+ * @param  {Object}   fileReader    The reader of the repository files at the linted commit
+ * @param  {Function} reportInvalid Takes the parsing error and returns a promise
+ * resolved once it is reported
+ * @return {Promise} A promise of the configuration.
+ */
+function loadBotConfig(fileReader, reportInvalid) {
+    return fileReader.readFile(botConfigs.CONFIG_FILE).then((text) => {
+        try {
+            return botConfigs.parseBotConfig(text);
+        } catch (error) {
+            return reportInvalid(error).then(() => botConfigs.DEFAULTS);
+        }
+    }, (error) => {
+        if (error.code === 404) {
+            return botConfigs.DEFAULTS;
+        }
+        throw error;
+    });
+}
+
+/**
+ * Create a reader of the files a pull request changes, as they were before: at
+ * the merge base of the pull request, which the base branch may have moved on from.
+ * @param  {Object} repository  The repository, shaped as {user, repo, github}
+ * @param  {Object} pullRequest The pull request
+ * @return {Promise} A promise of the file reader.
+ */
+function createBaseReader(repository, pullRequest) {
+    const { github, user, repo } = repository;
+    return github.repos.compareCommits({
+        user,
+        repo,
+        base: pullRequest.base.sha,
+        head: pullRequest.head.sha,
+    }).then(({ merge_base_commit }) => (
+        repositoryFiles.createFileReader(repository, merge_base_commit.sha, blobCache)
+    ));
+}
+
+/**
+ * Lint a pull request and report the results.
+ * @param  {Object} payload  The pull request webhook payload
+ * @param  {Object} settings The settings of the pull request's repository
+ * @param  {Object} github   The Github client authenticated for the repository
+ * @return {Promise} A promise resolved once the results are reported.
+ */
+function treatPayload(payload, settings, github) {
+    const { action, number, pull_request, before, after } = payload;
+    const repository = {
+        user: payload.repository.owner.login,
+        repo: payload.repository.name,
+        github,
+    };
+
+    const { sha } = pull_request.head;
+    const fileReader = repositoryFiles.createFileReader(repository, sha, blobCache);
+    const ignored = ignoredRules.get(`${payload.repository.full_name}#${number}`);
+    const timerLabel = `Reviewed pull request #${number}`;
+
+    console.time(timerLabel); // eslint-disable-line no-console
+    return setStatus(repository, sha, 'pending', 'Linting in progress')
+        .then(() => Promise.all([
+            getPullRequestFiles(repository, number),
+            action === 'synchronize' ? getChangedFilenames(repository, before, after) : null,
+            getBotComments(repository, number),
+            loadBotConfig(fileReader, (error) => reportInvalidBotConfig(repository, number, error)),
+        ]))
+        .then(([files, changedFilenames, botComments, botConfig]) => Promise.all([
+            files,
+            changedFilenames,
+            botComments,
+            botConfig,
+            botConfig.baseline ? createBaseReader(repository, pull_request) : null,
+        ]))
+        .then(([files, changedFilenames, botComments, botConfig, baseReader]) => (
+            // Every file is linted, as the commit status covers the whole pull request.
+            lintFiles(
+                fileReader,
+                filterLintedFiles(files, settings.fileFilter, botConfig),
+                settings,
+                botConfig,
+                baseReader
+            ).then((results) => {
+                const shownResults = ignoreRules(results, ignored, botConfig);
+                const lintResults = applyBaseline(shownResults);
+                recordLintRun(
+                    repository,
+                    { pullRequest: number, sha, author: pull_request.user.login },
+                    shownResults,
+                    botConfig.baseline ? lintResults : null
+                );
+
+                return Promise.all([
+                    sendComments({
+                        repository,
                         prNumber: number,
-                    })
-                ));
+                        sha,
+                        // On synchronize, only the files touched by the new commits are commented.
+                        lintResults: lintResults.filter(({ file }) => (
+                            !changedFilenames || changedFilenames.indexOf(file.filename) !== -1
+                        )),
+                        botComments,
+                        ignored: ignored.concat(botConfig.ignoreRules),
+                        botConfig,
+                    }),
+                    sendStatus(repository, sha, lintResults),
+                    // Once every file is free of errors, the changes requested before are done.
+                    _.sum(countProblems(lintResults), 'errors') === 0
+                        ? dismissChangeRequests(repository, number)
+                        : null,
+                ]);
+            })
+        ))
+        .then(
+            () => console.timeEnd(timerLabel), // eslint-disable-line no-console
+            (error) => (
+                setStatus(repository, sha, 'error', 'Lint run failed').then(() => { throw error; })
+            )
+        );
+}
 
-                const commentsDelivered = Promise.all(sentComments);
+/**
+ * Get the files a commit changed, with their patch, through the compare API.
+ * @param  {Object} repository The repository, shaped as {user, repo, github}
+ * @param  {String} sha        The commit sha
+ * @return {Promise} A promise of an array of files.
+ */
+function getCommitFiles(repository, sha) {
+    const { github, user, repo } = repository;
+    return github.repos.compareCommits({ user, repo, base: `${sha}^`, head: sha }).then(
+        ({ files }) => files,
+        (error) => {
+            // A root commit has no parent to compare with, its own files are all added.
+            if (error.code !== 404) {
+                throw error;
+            }
+            return github.repos.getCommit({ user, repo, sha }).then(({ files }) => files);
+        }
+    );
+}
 
-                commentsDelivered.then(() => console.timeEnd(`Commented on ${file.filename}`));
+/**
+ * Fetch the keys of the comments the bot already posted on a commit, so that a
+ * redelivered push doesn't comment twice.
+ * @param  {Object} repository The repository, shaped as {user, repo, github}
+ * @param  {String} sha        The commit sha
+ * @return {Promise} A promise of a Set of comment keys.
+ */
+function getPostedCommitComments(repository, sha) {
+    return getAllPages(repository.github, repository.github.repos.getCommitComments({
+        user: repository.user,
+        repo: repository.repo,
+        sha,
+        per_page: 100,
+    })).then((comments) => new Set(comments
+        .filter(({ user, position }) => user.login === botLogin && position)
+        .map(({ path, position, body }) => commentKey(path, position, body))));
+}
 
-                return commentsDelivered;
+/**
+ * Build the comments on a commit for the lint result of one of its files.
+ * Unlike review comments, commit comments can't suggest changes.
+ * @param  {Object} lintResult The lint result, shaped as {file, content, messages}
+ * @param  {Object} botConfig  The `.eslint-bot.yml` configuration
+ * @return {Array} The comments, shaped as {path, position, body}.
+ */
+function buildCommitComments({ file, content, messages }, botConfig) {
+    const lineMap = getLineMapFromPatchString(file.patch, {
+        contextLines: env('CONTEXT_LINES') === 'true' || botConfig.scope === 'files',
+    });
+    const errorsByLine = groupLintErrorsByLine(messages, content, botConfig.template);
+
+    return Object.keys(errorsByLine).map((key) => ({
+        path: file.filename,
+        position: getCommentPosition(lineMap, errorsByLine[key]),
+        body: errorsByLine[key].message,
+    })).filter(({ position }) => position);
+}
+
+/**
+ * Lint the files a pushed commit changed, and comment the problems on the commit.
+ * @param  {Object} repository The repository, shaped as {user, repo, github}
+ * @param  {Object} commit     The commit, as listed in the push payload
+ * @param  {Object} settings   The repository settings
+ * @param  {Object} botConfig  The `.eslint-bot.yml` configuration
+ * @return {Promise} A promise of the number of comments posted.
+ */
+function lintCommit(repository, commit, settings, botConfig) {
+    const sha = commit.id;
+    const fileReader = repositoryFiles.createFileReader(repository, sha, blobCache);
+
+    return Promise.all([
+        getCommitFiles(repository, sha),
+        getPostedCommitComments(repository, sha),
+    ]).then(([files, postedComments]) => lintFiles(
+        fileReader,
+        filterLintedFiles(files, settings.fileFilter, botConfig),
+        settings,
+        botConfig
+    ).then((results) => {
+        const lintResults = ignoreRules(results, [], botConfig);
+        recordLintRun(repository, {
+            pullRequest: null,
+            sha,
+            author: commit.author.username || commit.author.name,
+        }, lintResults, null);
+        // Too large diffs and skipped files have nothing to comment on.
+        const comments = _.flatten(lintResults
+            .filter(({ file, skipped }) => file.patch && !skipped)
+            .map((lintResult) => buildCommitComments(lintResult, botConfig)))
+            .filter(({ path, position, body }) => (
+                !postedComments.has(commentKey(path, position, body))
+            ));
+
+        const sentComments = botConfig.maxComments === null
+            ? comments
+            : comments.slice(0, botConfig.maxComments);
+        return postSequentially(repository, sentComments, (comment) => (
+            repository.github.repos.createCommitComment(Object.assign({
+                user: repository.user,
+                repo: repository.repo,
+                sha,
+            }, comment))
+        )).then(() => sentComments.length);
+    }));
+}
+
+/**
+ * Lint the commits of a push, and comment on each of them. The commits which
+ * were already on another branch are left out.
+ * @param  {Object} payload  The push webhook payload
+ * @param  {Object} settings The settings of the pushed repository
+ * @param  {Object} github   The Github client authenticated for the repository
+ * @return {Promise} A promise resolved once every commit is commented.
+ */
+function treatPush(payload, settings, github) {
+    const repository = {
+        // Push payloads name the owner, where the other payloads give its login.
+        user: payload.repository.owner.login || payload.repository.owner.name,
+        repo: payload.repository.name,
+        github,
+    };
+    const { after } = payload;
+    const commits = payload.commits.filter(({ distinct }) => distinct !== false);
+    const timerLabel = `Commented ${pluralize(commits.length, 'commit')} pushed to ${payload.ref}`;
+    const reportInvalid = (error) => github.repos.createCommitComment({
+        user: repository.user,
+        repo: repository.repo,
+        sha: after,
+        body: formatInvalidBotConfig(error),
+    });
+
+    console.time(timerLabel); // eslint-disable-line no-console
+    const fileReader = repositoryFiles.createFileReader(repository, after, blobCache);
+    return loadBotConfig(fileReader, reportInvalid)
+        // The commits are linted one after the other, not to overwhelm the lint pool.
+        .then((botConfig) => commits.reduce((previous, commit) => previous.then(() => (
+            lintCommit(repository, commit, settings, botConfig)
+        )), Promise.resolve()))
+        .then(() => console.timeEnd(timerLabel)); // eslint-disable-line no-console
+}
+
+function isCollaborator(repository, login) {
+    return repository.github.repos.checkCollaborator({
+        user: repository.user,
+        repo: repository.repo,
+        collabuser: login,
+    }).then(() => true, (error) => {
+        if (error.code === 404) {
+            return false;
+        }
+        throw error;
+    });
+}
+
+/**
+ * Apply the ESLint fixes to files.
+ * @param  {Object} fileReader The reader of the repository files at the commit to fix
+ * @param  {Array}  files      Pull request files
+ * @param  {Object} settings   The repository settings
+ * @return {Promise} A promise of an array of objects shaped as
+ * {filename, content, fixedRules}, for the files ESLint changed.
+ */
+function fixFiles(fileReader, files, settings, botConfig) {
+    const getEngine = createEngineLoader(fileReader, settings, botConfig);
+
+    return Promise.all(files.map(({ filename, sha }) => (
+        Promise.all([
+            getEngine(filename),
+            getEngine(filename, { fix: true }),
+            fileReader.readFile(filename, sha),
+        ]).then(([engine, fixEngine, content]) => Promise.all([
+            lintContent(engine, content, filename),
+            fixEngine.lint(content, filename),
+        ])).then(([messages, result]) => (
+            // The linters only set the output when they changed something.
+            result.output === undefined ? null : {
+                filename,
+                content: result.output,
+                fixedRules: autofix.countFixedRules(messages, result.messages),
+            }
+        ), (error) => {
+            // The files taking too long to lint are left as they are.
+            if (!SKIPPED_LINTS[error.code]) {
+                throw error;
             }
+            return null;
+        })
+    ))).then((fixes) => fixes.filter(Boolean));
+}
+
+/**
+ * Turn the refusal of Github to write a branch, e.g. a protected branch, a branch
+ * which moved since the fixes were made or a missing permission, into a
+ * PUSH_REFUSED error telling why. The other errors are thrown as they are.
+ * @param  {Error} error The error of the reference update
+ */
+function rejectRefusedPush(error) {
+    const { code, message } = error;
+    if ((code !== 403 && code !== 422) || /rate limit/i.test(message)) {
+        throw error;
+    }
+    let reason = message;
+    try {
+        // The Github client keeps the body of the response as the message.
+        reason = JSON.parse(message).message || message;
+    } catch (parseError) {
+        // The message is already plain text.
+    }
+    if (/fast.forward/i.test(reason)) {
+        reason = 'the branch moved since the fixes were made, run `/eslint fix` again';
+    }
+    const refused = new Error(reason);
+    refused.code = 'PUSH_REFUSED';
+    throw refused;
+}
+
+/**
+ * Push the fixes on the head branch of a pull request. When the head branch lives
+ * in a fork, which the bot can't push to, a follow-up pull request is opened instead.
+ * @param  {Object} repository  The repository, shaped as {user, repo, github}
+ * @param  {Object} pullRequest The pull request
+ * @param  {Array}  fixes       Objects shaped as {filename, content}
+ * @return {Promise} A promise of a description of where the fixes went, rejected
+ * with a PUSH_REFUSED error when Github refuses to write the branch.
+ */
+function pushFixes(repository, pullRequest, fixes) {
+    const { user, repo, github } = repository;
+    const { number, head, base } = pullRequest;
+    const isFork = !head.repo || head.repo.full_name !== base.repo.full_name;
+
+    return autofix.createCommit({
+        repository,
+        parentSha: head.sha,
+        files: fixes,
+        message: 'Fix ESLint problems',
+    }).then((sha) => {
+        if (!isFork) {
+            return github.gitdata.updateReference({ user, repo, ref: `heads/${head.ref}`, sha })
+                .then(() => `commit ${sha.slice(0, 7)}`, rejectRefusedPush);
+        }
+
+        const branch = `eslint-bot/fix-${number}-${sha.slice(0, 7)}`;
+        return github.gitdata.createReference({ user, repo, ref: `refs/heads/${branch}`, sha })
+            .catch(rejectRefusedPush)
+            .then(() => github.pullRequests.create({
+                user,
+                repo,
+                title: `Fix ESLint problems of #${number}`,
+                head: branch,
+                base: base.ref,
+                body: `Applies the ESLint fixes to #${number}, whose branch lives in a fork. `
+                    + `It also holds the changes of #${number}.`,
+            }))
+            .then((created) => `#${created.number}`);
+    });
+}
 
-            getContent(file, pull_request.head.ref)
-                .then(lintContent)
-                .then(groupLintErrorsByLine)
-                .then(sendComments);
+/**
+ * Fix the ESLint problems of a pull request, and reply with the fixed rules, or
+ * with the reason why Github refused the fixes.
+ * @param  {Object} repository The repository, shaped as {user, repo, github}
+ * @param  {Number} number     Pull request number
+ * @param  {Object} settings   The repository settings
+ * @param  {String} login      The login of the collaborator who asked for the fixes
+ * @return {Promise} A promise resolved once the fixes are pushed and reported.
+ */
+function fixPullRequest(repository, number, settings, login) {
+    const { user, repo, github } = repository;
+
+    return Promise.all([
+        github.pullRequests.get({ user, repo, number }),
+        getPullRequestFiles(repository, number),
+    ]).then(([pullRequest, files]) => {
+        const fileReader = repositoryFiles.createFileReader(
+            repository,
+            pullRequest.head.sha,
+            blobCache
+        );
+
+        const reportInvalid = (error) => reportInvalidBotConfig(repository, number, error);
+        return loadBotConfig(fileReader, reportInvalid).then((botConfig) => {
+            const fixableFiles = filterLintedFiles(files, settings.fileFilter, botConfig);
+
+            return fixFiles(fileReader, fixableFiles, settings, botConfig)
+                .then((fixes) => Promise.resolve(
+                    fixes.length > 0 ? pushFixes(repository, pullRequest, fixes) : null
+                ).then((location) => (
+                    replyOnPullRequest(repository, number, autofix.buildFixSummary(fixes, location))
+                ), (error) => {
+                    if (error.code !== 'PUSH_REFUSED') {
+                        throw error;
+                    }
+                    return replyOnPullRequest(
+                        repository,
+                        number,
+                        `@${login} the fixes could not be pushed: ${error.message}`
+                    );
+                }));
         });
     });
 }
 
+function reactToComment(repository, commentId, content) {
+    return repository.github.reactions.createForIssueComment({
+        user: repository.user,
+        repo: repository.repo,
+        id: commentId,
+        content,
+        headers: { accept: 'application/vnd.github.squirrel-girl-preview' },
+    });
+}
+
+/**
+ * Run the `/eslint` command of a pull request comment on behalf of a collaborator.
+ * Commands without a reply of their own are acknowledged with a reaction.
+ * @param  {Object} payload  The issue comment webhook payload
+ * @param  {Object} settings The settings of the pull request's repository
+ * @param  {Object} github   The Github client authenticated for the repository
+ * @return {Promise} A promise resolved once the command is run.
+ */
+function treatCommand(payload, settings, github) {
+    const { issue, comment } = payload;
+    const { number } = issue;
+    const { login } = comment.user;
+    const { name, argument } = commands.parseCommand(comment.body);
+    const repository = {
+        user: payload.repository.owner.login,
+        repo: payload.repository.name,
+        github,
+    };
+    const reply = (body) => replyOnPullRequest(repository, number, body);
+
+    return isCollaborator(repository, login).then((allowed) => {
+        if (!allowed) {
+            return reply(`@${login} only the repository collaborators can run ESLint commands.`);
+        }
+
+        switch (name) {
+            case 'fix':
+                return fixPullRequest(repository, number, settings, login);
+            case 'rerun':
+                return reactToComment(repository, comment.id, '+1')
+                    .then(() => github.pullRequests.get({
+                        user: repository.user,
+                        repo: repository.repo,
+                        number,
+                    }))
+                    .then((pullRequest) => treatPayload({
+                        action: 'rerun',
+                        number,
+                        pull_request: pullRequest,
+                        repository: payload.repository,
+                    }, settings, github));
+            case 'ignore':
+                if (!argument) {
+                    return reply(commands.HELP);
+                }
+                ignoredRules.add(`${payload.repository.full_name}#${number}`, argument);
+                return reactToComment(repository, comment.id, '+1');
+            case 'explain':
+                return reply(argument ? commands.explainRule(argument) : commands.HELP);
+            default:
+                return reply(`Unknown command \`${name}\`.\n\n${commands.HELP}`);
+        }
+    });
+}
+
+// The network errors which are usually temporary, unlike e.g. ENOENT or EACCES
+const RETRYABLE_SYSTEM_ERRORS = [
+    'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND',
+];
+
+/**
+ * Tell whether a failed lint run is worth retrying: network errors, Github server
+ * errors and rate limits are usually temporary, when other errors are not.
+ * @param  {Error} error The error the lint run failed with
+ * @return {Boolean} Whether the run should be retried.
+ */
+function isRetryableError(error) {
+    const { code, message } = error;
+    if (typeof code === 'string') {
+        return RETRYABLE_SYSTEM_ERRORS.indexOf(code) !== -1;
+    }
+    return code >= 500 || code === 429 || (code === 403 && /rate limit/i.test(message));
+}
+
+// The queue is only created when running the server, as it resumes the persisted jobs.
+let queue;
+const createQueue = () => createJobQueue({
+    file: env('QUEUE_FILE') || 'data/queue.json',
+    concurrency: Number(env('WORKER_CONCURRENCY')) || 2,
+    isRetryable: isRetryableError,
+    handler: ({ type, payload }) => {
+        // The repository may have been disallowed since the job was queued.
+        const settings = getRepositorySettings(payload.repository.full_name);
+        const treat = { lint: treatPayload, command: treatCommand, push: treatPush }[type];
+        return settings && getGithubClient(payload).then((github) => (
+            treat(payload, settings, github)
+        ));
+    },
+});
+
+/**
+ * Check the X-Hub-Signature-256 header sent by Github against the HMAC of the raw
+ * request body, computed with the WEBHOOK_SECRET shared with the webhook.
+ * @param  {Buffer} rawBody   The raw request body
+ * @param  {String} signature The signature header value
+ * @return {Boolean} Whether the signature is valid.
+ */
+function isSignatureValid(rawBody, signature) {
+    const expected = Buffer.from(`sha256=${crypto
+        .createHmac('sha256', env('WEBHOOK_SECRET'))
+        .update(rawBody || '')
+        .digest('hex')}`);
+    const received = Buffer.from(signature || '');
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
 // Server
-app.use(bodyParser.json());
+app.get('/healthz', (request, response) => response.send('ok'));
+
+app.get('/readyz', (request, response) => (
+    notReadyReason ? response.status(503).send(notReadyReason) : response.send('ready')
+));
+
+app.get('/metrics', (request, response) => (
+    response.type('text/plain; version=0.0.4').send(metrics.render())
+));
+
+/**
+ * Find the lint runs a dashboard request asks for. The requests have to give the
+ * DASHBOARD_TOKEN env var, as a bearer token or `token` query parameter.
+ * @param  {Object} request  The dashboard request
+ * @param  {Object} response The response, sent when the runs can't be shown
+ * @return {Array} The lint runs of the repository, or null when the response was sent.
+ */
+function getDashboardRuns(request, response) {
+    const token = env('DASHBOARD_TOKEN');
+    // Without a token, the dashboards are not served at all.
+    if (!token) {
+        response.status(404).end();
+        return null;
+    }
+    const authorization = request.get('Authorization') || '';
+    const given = request.query.token || authorization.replace(/^Bearer /, '');
+    if (given !== token) {
+        response.status(401).end();
+        return null;
+    }
+    const fullName = `${request.params.owner}/${request.params.repo}`;
+    // The history of the repositories the bot no longer serves isn't shown.
+    if (!getRepositorySettings(fullName)) {
+        response.status(404).end();
+        return null;
+    }
+    return history.getRuns(fullName);
+}
+
+app.get('/api/dashboard/:owner/:repo', (request, response) => {
+    const runs = getDashboardRuns(request, response);
+    return runs && response.json(lintHistory.summarizeRuns(runs));
+});
+
+app.get('/dashboard/:owner/:repo', (request, response) => {
+    const runs = getDashboardRuns(request, response);
+    const fullName = `${request.params.owner}/${request.params.repo}`;
+    return runs && response.send(renderDashboard(fullName, lintHistory.summarizeRuns(runs)));
+});
+
+app.use(bodyParser.json({
+    // Keep the raw body around, the signature is computed on it.
+    verify: (request, response, buffer) => {
+        request.rawBody = buffer; // eslint-disable-line no-param-reassign
+    },
+}));
+
+app.use((request, response, next) => {
+    const signature = request.get('X-Hub-Signature-256');
+    if (!env('WEBHOOK_SECRET') || isSignatureValid(request.rawBody, signature)) {
+        return next();
+    }
+    /* eslint-disable no-console */
+    console.log('Rejected a webhook with an invalid signature from', request.ip);
+    /* eslint-enable no-console */
+    return response.status(401).end();
+});
 
 app.set('port', (env('PORT') || 5000));
 
-app.post('/', ({ body: payload }, response) => {
-    const openedOrReopened = payload.action === 'opened' || payload.action === 'reopened';
-    if (payload && payload.pull_request && openedOrReopened) {
+// The branches whose pushes are linted, unless the repository settings list their own
+const pushBranches = (env('PUSH_BRANCHES') || 'main,master,release/*')
+    .split(',')
+    .map((branch) => branch.trim())
+    .filter(Boolean);
+
+/**
+ * Find out which job a webhook calls for.
+ * @param  {String} event   The webhook event, from the X-GitHub-Event header
+ * @param  {Object} payload The webhook payload
+ * @return {String} 'lint', 'command', 'push', or null when there is nothing to do.
+ */
+function getJobType(event, payload) {
+    const lintedActions = ['opened', 'reopened', 'synchronize'];
+    if (event === 'pull_request' && lintedActions.indexOf(payload.action) !== -1) {
+        return 'lint';
+    }
+    // The bot's own comments, e.g. the commands help, are never commands.
+    const isPullRequestComment = event === 'issue_comment' && payload.action === 'created'
+        && payload.issue.pull_request && payload.comment.user.login !== botLogin;
+    if (isPullRequestComment && commands.parseCommand(payload.comment.body)) {
+        return 'command';
+    }
+    // Deleting a branch pushes no commit. Other events, e.g. `installation`, have no repository.
+    if (event !== 'push' || payload.deleted) {
+        return null;
+    }
+    const settings = getRepositorySettings(payload.repository.full_name);
+    const isLinted = Boolean(settings)
+        && repositories.isLintedBranch(settings.pushBranches || pushBranches, payload.ref);
+    return isLinted ? 'push' : null;
+}
+
+app.post('/', (request, response) => {
+    const payload = request.body;
+    const event = request.get('X-GitHub-Event');
+    webhooksReceived.inc({ event: event || 'unknown', action: (payload && payload.action) || '' });
+    if (notReadyReason) {
+        // Github shows the failed deliveries, so that they can be redelivered.
+        return response.status(503).send(notReadyReason);
+    }
+
+    const type = payload && getJobType(event, payload);
+    if (type) {
         /* eslint-disable no-console */
-        console.log('A pull request was opened. Starting to lint content..');
+        const settings = getRepositorySettings(payload.repository.full_name);
+        if (settings) {
+            console.log(`Queuing a ${type} job for ${payload.repository.full_name}..`);
+            queue.push({ type, payload });
+        } else {
+            console.log('Ignoring a webhook of', payload.repository.full_name);
+        }
         /* eslint-enable no-console */
-        treatPayload(payload);
     }
-    response.end();
+    return response.end();
 });
 
 
-const requiredVars = ['GITHUB_USERNAME', 'GITHUB_PASSWORD', 'REPOSITORY_OWNER', 'REPOSITORY_NAME'];
+const secretVars = ['GITHUB_TOKEN', 'GITHUB_PRIVATE_KEY'];
 function isReadyToStart() {
+    // Either authenticate as a Github App, or with a personal access token.
+    const requiredVars = env('GITHUB_APP_ID')
+        ? ['GITHUB_APP_ID', 'GITHUB_PRIVATE_KEY']
+        : ['GITHUB_TOKEN'];
     const definedVariables = requiredVars.filter((varName) => env(varName));
     const stillMissing = requiredVars.filter((varName) => !env(varName));
 
     const definedVars = definedVariables.map((varName) => (
-        varName === 'GITHUB_PASSWORD' ? `* ${varName} = ********` : `* ${varName} = ${env(varName)}`
+        `* ${varName} = ${secretVars.indexOf(varName) !== -1 ? '********' : env(varName)}`
     )).join('\n');
 
     console.log(`Defined variables:\n${definedVars}`); // eslint-disable-line no-console
 
     if (stillMissing.length > 0) {
-        /* eslint-disable no-console */
-        console.log('Still waiting for following env vars to be set:', stillMissing.join(', '));
-        /* eslint-enable no-console */
+        notReadyReason = 'Still waiting for following env vars to be set: '
+            + `${stillMissing.join(', ')}`;
+        console.log(notReadyReason); // eslint-disable-line no-console
     }
     return stillMissing.length === 0;
 }
 
-(function startApp() {
+function startApp() {
     if (isReadyToStart()) {
-        github.authenticate({
-            type: 'basic',
-            username: env('GITHUB_USERNAME'),
-            password: env('GITHUB_PASSWORD'),
-        });
-        app.listen(app.get('port'), () => {
+        getBotLogin().then((login) => {
+            botLogin = login;
+            notReadyReason = null;
             /* eslint-disable no-console */
-            console.log('ESLint-bot is running on port', app.get('port'));
+            console.log(`ESLint-bot is ready, running as ${botLogin}`);
             /* eslint-enable no-console */
+        }, (error) => {
+            notReadyReason = `Could not authenticate on Github: ${error.message}`;
+            console.log(notReadyReason); // eslint-disable-line no-console
+            setTimeout(startApp, 2000);
         });
     } else {
         setTimeout(startApp, 2000);
     }
-}());
+}
+
+if (require.main === module) {
+    queue = createQueue();
+    history = createHistory();
+    // The server listens right away, so that its health can be checked while it starts.
+    app.listen(app.get('port'), () => {
+        /* eslint-disable no-console */
+        console.log('ESLint-bot is listening on port', app.get('port'));
+        /* eslint-enable no-console */
+    });
+    startApp();
+}
+
+module.exports = { treatPayload };
@@ -1,5 +1,811 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const test = require('tape');
+const prettier = require('prettier');
+const getLineMapFromPatchString = require('./lib/diff-map').getLineMapFromPatchString;
+const buildSuggestion = require('./lib/suggestions').buildSuggestion;
+const botConfigs = require('./lib/bot-config');
+const processors = require('./lib/processors');
+const buildAddedPatch = require('./lib/fake-github').buildAddedPatch;
+const repositoryFiles = require('./lib/repository-files');
+const repositories = require('./lib/repositories');
+const getAllPages = require('./lib/pagination');
+const compareWithBaseline = require('./lib/baseline').compareWithBaseline;
+const createMetricsRegistry = require('./lib/metrics');
+const createLintPool = require('./lib/lint-pool').createLintPool;
+const commentFormat = require('./lib/comment-format');
+const lintHistory = require('./lib/lint-history');
+const linters = require('./lib/linters');
+const autofix = require('./lib/autofix');
+const createConfigLoader = require('./lib/eslint-config').createConfigLoader;
+const createJobQueue = require('./lib/job-queue');
+const createAppAuthenticator = require('./lib/github-auth').createAppAuthenticator;
 
-test('', (t) => {
+const readPatch = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/patches', name), 'utf8');
 
+test('getLineMapFromPatchString maps the added lines of a hunk', (t) => {
+    t.deepEqual(getLineMapFromPatchString(readPatch('single-hunk.patch')), { 2: 2, 4: 5 });
+    t.end();
+});
+
+test('getLineMapFromPatchString counts later hunk headers in the positions', (t) => {
+    t.deepEqual(getLineMapFromPatchString(readPatch('multi-hunk.patch')), { 2: 3, 21: 8, 22: 9 });
+    t.end();
+});
+
+test('getLineMapFromPatchString does not count "No newline" markers as file lines', (t) => {
+    t.deepEqual(getLineMapFromPatchString(readPatch('no-newline.patch')), { 9: 4 });
+    t.end();
+});
+
+test('getLineMapFromPatchString maps the context lines on demand', (t) => {
+    const options = { contextLines: true };
+    t.deepEqual(
+        getLineMapFromPatchString(readPatch('single-hunk.patch'), options),
+        { 1: 1, 2: 2, 3: 3, 4: 5 }
+    );
+    t.deepEqual(
+        getLineMapFromPatchString(readPatch('multi-hunk.patch'), options),
+        { 1: 1, 2: 3, 3: 4, 4: 5, 20: 7, 21: 8, 22: 9, 23: 10 }
+    );
+    t.end();
+});
+
+test('getLineMapFromPatchString handles patches without a trailing line break', (t) => {
+    t.deepEqual(getLineMapFromPatchString('@@ -0,0 +1,2 @@\n+first\n+second'), { 1: 1, 2: 2 });
+    t.end();
+});
+
+test('buildSuggestion suggests the fixed line', (t) => {
+    const content = 'const a = 1\nconst b = 2\n';
+    const suggestion = buildSuggestion({
+        content,
+        fixes: [{ range: [11, 11], text: ';' }],
+        line: 1,
+        diffLines: { 1: 1 },
+    });
+    t.deepEqual(suggestion, { startLine: 1, body: '```suggestion\nconst a = 1;\n```' });
+    t.end();
+});
+
+test('buildSuggestion applies the non-overlapping fixes of a line', (t) => {
+    const content = 'var a = "x"\n';
+    const suggestion = buildSuggestion({
+        content,
+        fixes: [
+            { range: [8, 11], text: '\'x\'' },
+            { range: [9, 10], text: 'y' },
+            { range: [11, 11], text: ';' },
+        ],
+        line: 1,
+        diffLines: { 1: 1 },
+    });
+    t.equal(suggestion.body, '```suggestion\nvar a = \'x\';\n```');
+    t.end();
+});
+
+test('buildSuggestion skips fixes touching lines outside of the diff', (t) => {
+    const content = 'foo(\n  1)\n';
+    const fixes = [{ range: [3, 9], text: '(1)' }];
+    t.equal(buildSuggestion({ content, fixes, line: 2, diffLines: { 2: 1 } }), null);
+    t.deepEqual(
+        buildSuggestion({ content, fixes, line: 2, diffLines: { 1: 1, 2: 2 } }),
+        { startLine: 1, body: '```suggestion\nfoo(1)\n```' }
+    );
+    t.end();
+});
+
+test('buildSuggestion skips fixes going past the commented line', (t) => {
+    const content = 'a\nb\n';
+    const fixes = [{ range: [0, 3], text: 'ab' }];
+    t.equal(buildSuggestion({ content, fixes, line: 1, diffLines: { 1: 1, 2: 2 } }), null);
+    t.end();
+});
+
+test('parseBotConfig completes the configuration with the defaults', (t) => {
+    const config = botConfigs.parseBotConfig('minSeverity: error\nexclude: [vendor/**]\n');
+    t.equal(config.minSeverity, 'error');
+    t.deepEqual(config.exclude, ['vendor/**']);
+    t.equal(config.mode, 'review');
+    t.deepEqual(botConfigs.parseBotConfig(''), botConfigs.DEFAULTS);
+    t.end();
+});
+
+test('parseBotConfig lists every problem of an invalid file', (t) => {
+    t.throws(
+        () => botConfigs.parseBotConfig('mode: nope\nfoo: 1\n'),
+        /`mode` must be `review` or `comments`\n\* Unknown option `foo`/
+    );
+    t.throws(() => botConfigs.parseBotConfig('include: [a'), /not valid YAML/);
+    t.throws(
+        () => botConfigs.parseBotConfig('minSeverity: constructor\nmaxComments: -1\n'),
+        /`minSeverity` must be `warning` or `error`\n\* `maxComments` must be an integer of 0/
+    );
+    t.throws(
+        () => botConfigs.parseBotConfig('toString: 1\nconstructor: 1\n'),
+        /Unknown option `toString`\n\* Unknown option `constructor`/
+    );
+    t.equal(botConfigs.parseBotConfig('maxComments: 0\n').maxComments, 0);
+    t.end();
+});
+
+test('createFileMatcher prefers the include globs to the file filter', (t) => {
+    const isLinted = botConfigs.createFileMatcher(
+        Object.assign({}, botConfigs.DEFAULTS, {
+            include: ['src/**/*.js'],
+            exclude: ['src/vendor/**'],
+        }),
+        '.*\\.js$'
+    );
+    t.ok(isLinted('src/a/b.js'));
+    t.notOk(isLinted('test/b.js'));
+    t.notOk(isLinted('src/vendor/jquery.js'));
+    t.end();
+});
+
+test('extractMarkdownBlocks finds the JavaScript code blocks', (t) => {
+    const text = '# Title\n\n```js\nfoo();\n```\n\n```sh\nls\n```\n';
+    t.deepEqual(processors.extractMarkdownBlocks(text), [
+        { text: 'foo();\n', offset: 15, line: 3, column: 0 },
+    ]);
+    t.end();
+});
+
+test('extractVueBlocks finds the script blocks and their first line column', (t) => {
+    const text = '<template><div/></template>\n<script>var a\n</script>\n'
+        + '<script lang="ts">b</script>';
+    t.deepEqual(processors.extractVueBlocks(text), [
+        { text: 'var a\n', offset: 36, line: 1, column: 8 },
+    ]);
+    t.end();
+});
+
+test('translateMessage moves the messages of a block to the file position', (t) => {
+    const block = { offset: 36, line: 1, column: 8 };
+    const message = { line: 1, column: 6, fix: { range: [5, 5], text: ';' } };
+    t.deepEqual(processors.translateMessage(block, message), {
+        line: 2,
+        column: 14,
+        fix: { range: [41, 41], text: ';' },
+    });
+    t.deepEqual(processors.translateMessage(block, { line: 2, column: 1 }), { line: 3, column: 1 });
+    t.end();
+});
+
+test('buildAddedPatch makes every line of a file commentable', (t) => {
+    const patch = buildAddedPatch('a\nb\n');
+    t.equal(patch, '@@ -0,0 +1,2 @@\n+a\n+b');
+    t.deepEqual(getLineMapFromPatchString(patch), { 1: 1, 2: 2 });
+    t.end();
+});
+
+test('createCommit keeps the mode of the fixed files', (t) => {
+    let createdTree = null;
+    const github = {
+        gitdata: {
+            createBlob: ({ content }) => Promise.resolve({ sha: `blob:${content}` }),
+            getCommit: () => Promise.resolve({ tree: { sha: 'tree1' } }),
+            getTree: () => Promise.resolve({
+                truncated: false,
+                tree: [
+                    { path: 'bin', type: 'tree', mode: '040000' },
+                    { path: 'bin/cli.js', type: 'blob', mode: '100755' },
+                    { path: 'lib.js', type: 'blob', mode: '100644' },
+                ],
+            }),
+            createTree: (tree) => {
+                createdTree = tree;
+                return Promise.resolve({ sha: 'tree2' });
+            },
+            createCommit: () => Promise.resolve({ sha: 'commit2' }),
+        },
+    };
+    autofix.createCommit({
+        repository: { user: 'owner', repo: 'repo', github },
+        parentSha: 'commit1',
+        files: [{ filename: 'bin/cli.js', content: 'a' }, { filename: 'lib.js', content: 'b' }],
+        message: 'Fix',
+    }).then((sha) => {
+        t.equal(sha, 'commit2');
+        t.deepEqual(createdTree.tree.map(({ path: filename, mode }) => [filename, mode]), [
+            ['bin/cli.js', '100755'],
+            ['lib.js', '100644'],
+        ]);
+        t.end();
+    }, t.end);
+});
+
+test('createFileReader decodes UTF-8 blobs and caches them by sha', (t) => {
+    const fetched = [];
+    const github = {
+        gitdata: {
+            getTree: () => Promise.resolve({
+                truncated: false,
+                tree: [
+                    { path: 'src', type: 'tree' },
+                    { path: 'src/a.js', type: 'blob', sha: 'a1' },
+                ],
+            }),
+            getBlob: ({ sha }) => {
+                fetched.push(sha);
+                return Promise.resolve({ content: Buffer.from('é = "ü";\n').toString('base64') });
+            },
+        },
+    };
+    const blobCache = repositoryFiles.createBlobCache(1000);
+    const firstRun = repositoryFiles.createFileReader({ github }, 'head', blobCache);
+    const secondRun = repositoryFiles.createFileReader({ github }, 'head', blobCache);
+
+    firstRun.readFile('src/a.js')
+        .then((content) => {
+            t.equal(content, 'é = "ü";\n');
+            return secondRun.readFile('src/a.js', 'a1');
+        })
+        .then(() => {
+            t.deepEqual(fetched, ['a1']);
+            return firstRun.listDirectory('src');
+        })
+        .then((names) => {
+            t.deepEqual(names, ['a.js']);
+            return firstRun.readFile('.eslintrc');
+        })
+        .catch((error) => {
+            t.equal(error.code, 404);
+            t.end();
+        });
+});
+
+test('createBlobCache drops the least recently used contents', (t) => {
+    const blobCache = repositoryFiles.createBlobCache(6);
+    blobCache.set('a', 'aaa');
+    blobCache.set('b', 'bbb');
+    blobCache.get('a');
+    blobCache.set('c', 'ccc');
+    t.equal(blobCache.get('a'), 'aaa');
+    t.equal(blobCache.get('b'), undefined);
+    t.end();
+});
+
+test('getAllPages follows the next page links', (t) => {
+    const pages = { 1: ['a', 'b'], 2: ['c'] };
+    const github = {
+        hasNextPage: (page) => page.next,
+        getNextPage: (page, callback) => callback(null, pages[page.next]),
+    };
+    pages[1].next = 2;
+
+    getAllPages(github, Promise.resolve(pages[1])).then((items) => {
+        t.deepEqual(items, ['a', 'b', 'c']);
+        return getAllPages(github, Promise.resolve(pages[1]), 1);
+    }).then((items) => {
+        t.deepEqual(items, ['a', 'b']);
+        t.end();
+    });
+});
+
+test('compareWithBaseline only keeps the messages introduced by the pull request', (t) => {
+    const base = {
+        content: 'var a = 1\nfoo()\n',
+        messages: [{ ruleId: 'semi', line: 1 }, { ruleId: 'no-undef', line: 2 }],
+    };
+    const head = {
+        content: 'if (b) {\n    var a =  1\n}\nbar()\n',
+        messages: [{ ruleId: 'semi', line: 2 }, { ruleId: 'no-undef', line: 4 }],
+    };
+    t.deepEqual(compareWithBaseline(base, head), {
+        newMessages: [{ ruleId: 'no-undef', line: 4 }],
+        suppressed: 1,
+        fixed: 1,
+    });
+    t.end();
+});
+
+test('createMetricsRegistry renders the metrics in the Prometheus text format', (t) => {
+    const metrics = createMetricsRegistry();
+    const requests = metrics.counter('requests_total', 'Requests');
+    const duration = metrics.histogram('duration_seconds', 'Duration', [0.1, 1]);
+    requests.inc({ endpoint: 'a "b"' });
+    requests.inc({ endpoint: 'a "b"' }, 2);
+    duration.observe({}, 0.5);
+
+    t.equal(metrics.render(), [
+        '# HELP requests_total Requests',
+        '# TYPE requests_total counter',
+        'requests_total{endpoint="a \\"b\\""} 3',
+        '# HELP duration_seconds Duration',
+        '# TYPE duration_seconds histogram',
+        'duration_seconds_bucket{le="0.1"} 0',
+        'duration_seconds_bucket{le="1"} 1',
+        'duration_seconds_bucket{le="+Inf"} 1',
+        'duration_seconds_sum 0.5',
+        'duration_seconds_count 1',
+        '',
+    ].join('\n'));
+    t.end();
+});
+
+test('createLintPool lints in child processes and gives up on slow files', (t) => {
+    const options = { configs: [{ rules: { semi: 2 } }] };
+    createLintPool({ size: 1 }).lint(options, 'foo()\n', 'a.js')
+        .then(({ messages }) => {
+            t.deepEqual(messages.map(({ ruleId }) => ruleId), ['semi']);
+            return createLintPool({ size: 1, timeout: 1 }).lint(options, 'foo()\n', 'a.js');
+        })
+        .catch((error) => {
+            t.equal(error.code, 'LINT_TIMEOUT');
+            t.end();
+        });
+});
+
+test('formatComment links the rules and points at the columns', (t) => {
+    const body = commentFormat.formatComment([
+        { ruleId: 'semi', severity: 2, message: 'Missing semicolon.', line: 3, column: 11 },
+        { ruleId: 'no-var', severity: 1, message: 'Unexpected var.', line: 3, column: 2 },
+    ], '\tvar a = 1', {});
+    t.equal(body, [
+        ':x: **[semi](http://eslint.org/docs/rules/semi)**: Missing semicolon.',
+        ':warning: **[no-var](http://eslint.org/docs/rules/no-var)**: Unexpected var.',
+        '',
+        '```',
+        '\tvar a = 1',
+        '\t^        ^',
+        '```',
+        '',
+        '<!-- eslint-bot rules: no-var semi -->',
+    ].join('\n'));
+    t.deepEqual(commentFormat.getRuleIds(body), ['no-var', 'semi']);
+    t.deepEqual(commentFormat.getRuleIds('**semi**: Missing semicolon.'), ['semi']);
+    t.end();
+});
+
+test('formatComment formats parsing errors with the repository templates', (t) => {
+    const parsingError = {
+        fatal: true,
+        severity: 2,
+        message: 'Parsing error: Unexpected token',
+        line: 7,
+    };
+    const template = {
+        parsingError: 'Cannot parse line {{line}}: {{message}}',
+        comment: '{{messages}}',
+    };
+    t.equal(
+        commentFormat.formatComment([parsingError], 'a b', template),
+        'Cannot parse line 7: Unexpected token\n\n<!-- eslint-bot rules: parsing-error -->'
+    );
+    t.equal(commentFormat.formatInline(parsingError), '**Parsing error**: Unexpected token');
+    const eslintMessage = { ruleId: null, severity: 1, message: 'File ignored.', line: 0 };
+    t.equal(commentFormat.formatInline(eslintMessage), '**ESLint**: File ignored.');
+    t.end();
+});
+
+test('isLintedBranch matches the pushed branches against globs', (t) => {
+    const branches = ['main', 'release/*'];
+    t.ok(repositories.isLintedBranch(branches, 'refs/heads/release/1.2'));
+    t.notOk(repositories.isLintedBranch(branches, 'refs/heads/feature'));
+    t.notOk(repositories.isLintedBranch(branches, 'refs/tags/main'));
+    t.end();
+});
+
+test('summarizeRuns ranks the latest runs and sums up each week', (t) => {
+    const run = (date, pullRequest, rules, introduced) => ({
+        date,
+        pullRequest,
+        sha: date,
+        author: 'someone',
+        rules,
+        files: { 'a.js': rules.semi || 0 },
+        introduced,
+        fixed: introduced === null ? null : 1,
+    });
+    const summary = lintHistory.summarizeRuns([
+        run('2017-01-04T10:00:00Z', 1, { semi: 3 }, null),
+        run('2017-01-05T10:00:00Z', 1, { semi: 1, 'no-var': 2 }, 2),
+        run('2017-01-09T10:00:00Z', 2, { 'no-var': 1 }, null),
+    ]);
+    t.deepEqual(summary.topRules, [{ name: 'no-var', count: 3 }, { name: 'semi', count: 1 }]);
+    t.deepEqual(summary.noisiestFiles, [{ name: 'a.js', count: 1 }]);
+    t.deepEqual(summary.weeks, [
+        { week: '2017-01-02', runs: 2, problems: 3, introduced: 2, fixed: 1 },
+        { week: '2017-01-09', runs: 1, problems: 1, introduced: null, fixed: null },
+    ]);
+    t.end();
+});
+
+test('createLintHistory writes the runs recorded together at once', (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lint-history-'));
+    const file = path.join(directory, 'history.json');
+    const history = lintHistory.createLintHistory(file, 1, 10);
+    history.record('owner/repo', { sha: 'a' });
+    history.record('owner/repo', { sha: 'b' });
+    t.deepEqual(history.getRuns('owner/repo'), [{ sha: 'b' }]);
+    t.notOk(fs.existsSync(file), 'the file is not written on each run');
+    setTimeout(() => {
+        t.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { 'owner/repo': [{ sha: 'b' }] });
+        t.deepEqual(lintHistory.createLintHistory(file).getRuns('owner/repo'), [{ sha: 'b' }]);
+        t.end();
+    }, 50);
+});
+
+test('findChangedRegions finds the lines to replace with the other version', (t) => {
+    const before = ['a', 'b  =1', 'c', 'd', 'e', ''];
+    const after = ['a', 'b = 1', 'c', 'e', 'f', ''];
+    const regions = linters.findChangedRegions(before, after);
+    t.deepEqual(regions, [
+        { start: 1, end: 2, lines: ['b = 1'] },
+        { start: 3, end: 4, lines: [] },
+        { start: 5, end: 5, lines: ['f'] },
+    ]);
+    const replaced = regions.reduceRight((lines, { start, end, lines: replacement }) => (
+        lines.slice(0, start).concat(replacement, lines.slice(end))
+    ), before);
+    t.deepEqual(replaced, after);
+    t.end();
+});
+
+// Applies the fixes of messages, which don't overlap, from the last one.
+const applyFixes = (content, messages) => messages.reduceRight((text, { fix }) => (
+    text.slice(0, fix.range[0]) + fix.text + text.slice(fix.range[1])
+), content);
+
+test('compareFormatting suggests the formatting of Prettier', (t) => {
+    const content = 'a()\n\n\n\nb()\n';
+    const formatted = prettier.format(content, { parser: 'babel' });
+    const messages = linters.compareFormatting(content, formatted);
+    t.deepEqual(messages.map(({ line }) => line), [1, 3, 4]);
+    t.equal(applyFixes(content, messages), formatted);
+    t.end();
+});
+
+test('loadLinterConfig rejects the configurations which can\'t be parsed', (t) => {
+    const files = {
+        '.prettierrc.json': '{ "semi": false, }',
+        'package.json': '{ "stylelint": { "rules": {} } }',
+    };
+    const readFile = (filename) => (files[filename] === undefined
+        ? Promise.reject(Object.assign(new Error('Not Found'), { code: 404 }))
+        : Promise.resolve(files[filename]));
+    Promise.all([
+        linters.loadLinterConfig('stylelint', readFile),
+        linters.loadLinterConfig('prettier', readFile).then(() => null, (error) => error),
+    ]).then(([stylelintConfig, error]) => {
+        t.deepEqual(stylelintConfig, { rules: {} });
+        t.equal(error.code, 'LINT_CONFIG_INVALID');
+        t.ok(/^`\.prettierrc\.json` is not valid: /.test(error.message), error.message);
+        t.end();
+    }, t.end);
+});
+
+test('the prettier adapter reports the lines it formats differently', (t) => {
+    const content = 'const a = {b:1};\nconst c = 2\nconst d = 3\nfoo( )';
+    linters.ADAPTERS.prettier.lint({ config: { semi: false }, fix: true }, content, 'a.js')
+        .then(({ messages, output }) => {
+            t.equal(output, 'const a = { b: 1 }\nconst c = 2\nconst d = 3\nfoo()\n');
+            t.deepEqual(messages.map(({ ruleId, line }) => [ruleId, line]), [
+                ['prettier', 1],
+                ['prettier', 4],
+            ]);
+            t.equal(applyFixes(content, messages), output);
+            return linters.ADAPTERS.prettier.lint({ config: {} }, 'const a = ;\n', 'a.js');
+        })
+        .then(({ messages }) => {
+            t.deepEqual(messages, [{
+                ruleId: null,
+                fatal: true,
+                severity: 2,
+                message: 'Parsing error: Unexpected token',
+                line: 1,
+                column: 11,
+            }]);
+            t.end();
+        }, t.end);
+});
+
+test('the stylelint adapter maps the warnings of stylelint', (t) => {
+    const config = { rules: { 'color-hex-case': 'lower' } };
+    const content = 'a { color: #FFF; }\n';
+    linters.ADAPTERS.stylelint.lint({ config }, content, 'a.css')
+        .then(({ messages, output }) => {
+            t.equal(output, undefined);
+            t.deepEqual(messages, [{
+                ruleId: 'color-hex-case',
+                fatal: undefined,
+                severity: 2,
+                message: 'Expected "#FFF" to be "#fff"',
+                line: 1,
+                column: 12,
+                docsUrl: 'https://stylelint.io/user-guide/rules/color-hex-case',
+            }]);
+            return linters.ADAPTERS.stylelint.lint({ config, fix: true }, content, 'a.css');
+        })
+        .then(({ output }) => {
+            t.equal(output, 'a { color: #fff; }\n');
+            return linters.ADAPTERS.stylelint.lint({ config }, 'a { color: ', 'a.css');
+        })
+        .then(({ messages }) => {
+            t.deepEqual(messages.map(({ ruleId, fatal, message }) => [ruleId, fatal, message]), [
+                [null, true, 'Parsing error: Unclosed block'],
+            ]);
+            t.end();
+        }, t.end);
+});
+
+test('createLinterMatcher picks the linters of a file by their globs', (t) => {
+    const getLinters = botConfigs.createLinterMatcher(Object.assign({}, botConfigs.DEFAULTS, {
+        exclude: ['vendor/**'],
+        linters: { stylelint: ['**/*.css', '**/*.scss'], prettier: ['src/**'] },
+    }), '\\.js$');
+    t.deepEqual(getLinters('src/app.js'), ['eslint', 'prettier']);
+    t.deepEqual(getLinters('styles/main.scss'), ['stylelint']);
+    t.deepEqual(getLinters('vendor/lib.css'), []);
+    t.end();
+});
+
+// Serves the files of a repository to a configuration loader.
+const createFakeRepository = (files) => ({
+    listDirectory: (directory) => Promise.resolve(Object.keys(files)
+        .filter((filename) => path.posix.dirname(filename) === (directory || '.'))
+        .map((filename) => path.posix.basename(filename))),
+    readFile: (filename) => Promise.resolve(files[filename]),
+});
+
+test('createConfigLoader cascades the configurations of the directories of a file', (t) => {
+    const getConfig = createConfigLoader(createFakeRepository({
+        '.eslintrc.json': '{ "rules": { "semi": 2 } }',
+        'src/.eslintrc': 'rules:\n  quotes: 2\n',
+        'lib/package.json': '{ "eslintConfig": { "root": true } }',
+    }));
+    Promise.all([getConfig('src/a.js'), getConfig('lib/a.js'), getConfig('b.js')])
+        .then(([src, lib, root]) => {
+            t.deepEqual(src, [{ rules: { semi: 2 } }, { rules: { quotes: 2 } }]);
+            t.deepEqual(lib, [{ root: true }]);
+            t.deepEqual(root, [{ rules: { semi: 2 } }]);
+            t.end();
+        }, t.end);
+});
+
+test('createConfigLoader rejects the files whose configuration is invalid', (t) => {
+    const getConfig = createConfigLoader(createFakeRepository({
+        'src/.eslintrc.json': '{ "rules": { "semi": 2, } }',
+        'app/.eslintrc.js': 'module.exports = {};',
+        'app/nested/.eslintrc': 'root: true\n',
+        'lib/a.js': '',
+    }));
+    const getError = (filename) => getConfig(filename).then(() => null, (error) => error);
+    Promise.all([
+        getError('src/a.js'),
+        getError('app/a.js'),
+        getConfig('app/nested/a.js'),
+        getConfig('lib/a.js'),
+    ]).then(([invalid, unsupported, nested, valid]) => {
+        t.equal(invalid.code, 'LINT_CONFIG_INVALID');
+        t.ok(/^`src\/\.eslintrc\.json` is not valid: /.test(invalid.message), invalid.message);
+        t.equal(unsupported.code, 'LINT_CONFIG_INVALID');
+        t.equal(unsupported.message, '`app/.eslintrc.js` is not supported');
+        // A root configuration doesn't care about the invalid ones above it.
+        t.deepEqual(nested, [{ root: true }]);
+        t.equal(valid, null);
+        t.end();
+    }, t.end);
+});
+
+test('the eslint adapter resolves the extends of each configuration before cascading', (t) => {
+    const configs = [
+        { extends: 'airbnb-base' },
+        { plugins: ['react'], extends: 'plugin:react/recommended' },
+    ];
+    const content = 'var a = <A />;\n';
+    linters.ADAPTERS.eslint.lint({ configs }, content, 'src/a.js').then(({ messages }) => {
+        t.deepEqual(messages.map(({ ruleId }) => ruleId).sort(), [
+            'no-unused-vars', 'no-var', 'react/jsx-no-undef', 'react/react-in-jsx-scope',
+        ]);
+        t.end();
+    }, t.end);
+});
+
+test('the eslint adapter lints the files ESLint ignores by default', (t) => {
+    const configs = [{ rules: { 'no-var': 2 } }];
+    Promise.all(['.eslintrc.js', 'node_modules/a/index.js'].map((filename) => (
+        linters.ADAPTERS.eslint.lint({ configs }, 'var a = 1;\n', filename)
+    ))).then((results) => {
+        results.forEach(({ messages }) => {
+            t.deepEqual(messages.map(({ ruleId }) => ruleId), ['no-var']);
+        });
+        t.end();
+    }, t.end);
+});
+
+test('the eslint adapter tells which shareable configuration is missing', (t) => {
+    const configs = [{ extends: 'standard' }];
+    linters.ADAPTERS.eslint.lint({ configs }, 'var a = 1;\n', 'a.js').then(() => {
+        t.fail('the lint should be rejected');
+        t.end();
+    }, (error) => {
+        t.equal(error.code, 'LINT_CONFIG_INVALID');
+        t.equal(
+            error.message,
+            'ESLint configuration not loaded, `eslint-config-standard` is not installed'
+        );
+        t.end();
+    });
+});
+
+test('the eslint adapter rejects the lints whose parser is missing', (t) => {
+    const configs = [{ parser: 'missing-eslint-parser' }];
+    linters.ADAPTERS.eslint.lint({ configs }, 'var a = 1;\n', 'a.js').then(() => {
+        t.fail('the lint should be rejected');
+        t.end();
+    }, (error) => {
+        t.equal(error.code, 'LINT_UNAVAILABLE');
+        t.equal(error.message, 'ESLint parser `missing-eslint-parser` is not installed');
+        t.end();
+    });
+});
+
+const createQueueFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'queue-')), 'q.json');
+
+// Calls back once a condition holds, as the queue runs its jobs in the background.
+const waitFor = (condition, callback) => {
+    if (condition()) {
+        callback();
+    } else {
+        setTimeout(() => waitFor(condition, callback), 5);
+    }
+};
+
+test('createJobQueue retries the jobs whose error is retryable', (t) => {
+    t.timeoutAfter(2000);
+    const file = createQueueFile();
+    const attempts = { temporary: 0, permanent: 0 };
+    const queue = createJobQueue({
+        file,
+        baseDelay: 1,
+        isRetryable: (error) => error.message === 'temporary',
+        handler: ({ name }) => {
+            attempts[name]++;
+            return attempts[name] < 3 ? Promise.reject(new Error(name)) : null;
+        },
+    });
+    queue.push({ name: 'temporary' });
+    queue.push({ name: 'permanent' });
+    waitFor(() => attempts.temporary === 3 && queue.getDeadLetters().length === 1, () => {
+        t.equal(attempts.permanent, 1);
+        t.deepEqual(queue.getDeadLetters().map(({ payload, attempts: count, lastError }) => (
+            { payload, attempts: count, lastError }
+        )), [{ payload: { name: 'permanent' }, attempts: 1, lastError: 'permanent' }]);
+        setTimeout(() => {
+            t.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).jobs, []);
+            t.end();
+        }, 20);
+    });
+});
+
+test('createJobQueue gives up the jobs once they run out of attempts', (t) => {
+    t.timeoutAfter(2000);
+    let attempts = 0;
+    const queue = createJobQueue({
+        file: createQueueFile(),
+        baseDelay: 1,
+        maxAttempts: 3,
+        handler: () => {
+            attempts++;
+            return Promise.reject(new Error('still failing'));
+        },
+    });
+    queue.push({});
+    waitFor(() => queue.getDeadLetters().length === 1, () => {
+        t.equal(attempts, 3);
+        t.equal(queue.getDeadLetters()[0].attempts, 3);
+        t.end();
+    });
+});
+
+test('createJobQueue resumes the jobs persisted before a restart', (t) => {
+    t.timeoutAfter(2000);
+    const file = createQueueFile();
+    fs.writeFileSync(file, JSON.stringify({
+        jobs: [{ id: 4, payload: { name: 'resumed' }, attempts: 1, runAt: 0 }],
+        deadLetters: [{ id: 2, payload: { name: 'failed' }, attempts: 5 }],
+    }));
+    const payloads = [];
+    const queue = createJobQueue({
+        file,
+        handler: (payload) => {
+            payloads.push(payload);
+        },
+    });
+    queue.push({ name: 'new' });
+    waitFor(() => payloads.length === 2, () => {
+        t.deepEqual(payloads, [{ name: 'resumed' }, { name: 'new' }]);
+        t.deepEqual(queue.getDeadLetters().map(({ id }) => id), [2]);
+        setTimeout(() => {
+            const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+            t.deepEqual(state.jobs, [], 'the jobs run are removed from the file');
+            t.end();
+        }, 20);
+    });
+});
+
+const { privateKey: appPrivateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 1024,
+    privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+});
+
+// An authenticator whose clock is set by hand, answering the token requests with
+// the queued responses, and counting them.
+function createFakeAuthenticator(responses) {
+    const fake = { time: 0, requests: 0 };
+    fake.authenticator = createAppAuthenticator({
+        appId: '1',
+        privateKey: appPrivateKey,
+        now: () => fake.time,
+        request: () => {
+            fake.requests++;
+            return responses.shift();
+        },
+    });
+    return fake;
+}
+
+const tokenResponse = (token, expiresAt) => Promise.resolve({
+    token,
+    expires_at: new Date(expiresAt).toISOString(),
+});
+
+test('createAppAuthenticator reuses the token until it is about to expire', (t) => {
+    const hour = 60 * 60 * 1000;
+    const fake = createFakeAuthenticator([tokenResponse('a', hour), tokenResponse('b', 2 * hour)]);
+    const getToken = () => fake.authenticator.getInstallationToken(7);
+    getToken()
+        .then((token) => {
+            t.equal(token, 'a');
+            fake.time = hour - (6 * 60 * 1000);
+            return getToken();
+        })
+        .then((token) => {
+            t.equal(token, 'a', 'the cached token is reused');
+            t.equal(fake.requests, 1);
+            fake.time = hour - (4 * 60 * 1000);
+            return getToken();
+        })
+        .then((token) => {
+            t.equal(token, 'b', 'the token is refreshed within 5 minutes of its expiry');
+            t.equal(fake.requests, 2);
+            t.end();
+        })
+        .catch(t.end);
+});
+
+test('createAppAuthenticator shares the pending token request', (t) => {
+    const fake = createFakeAuthenticator([tokenResponse('a', 60 * 60 * 1000)]);
+    Promise.all([
+        fake.authenticator.getInstallationToken(7),
+        fake.authenticator.getInstallationToken(7),
+    ]).then((tokens) => {
+        t.deepEqual(tokens, ['a', 'a']);
+        t.equal(fake.requests, 1);
+        t.end();
+    }).catch(t.end);
+});
+
+test('createAppAuthenticator does not cache the failed token requests', (t) => {
+    const fake = createFakeAuthenticator([
+        Promise.reject(Object.assign(new Error('Bad credentials'), { code: 401 })),
+        tokenResponse('a', 60 * 60 * 1000),
+    ]);
+    fake.authenticator.getInstallationToken(7)
+        .then(() => {
+            t.fail('the token request should be rejected');
+        }, (error) => {
+            t.equal(error.code, 401);
+            return fake.authenticator.getInstallationToken(7);
+        })
+        .then((token) => {
+            t.equal(token, 'a');
+            t.equal(fake.requests, 2);
+            t.end();
+        })
+        .catch(t.end);
 });